@@ -0,0 +1,109 @@
+import { ContentSplitter } from '../@domain/services/ContentSplitter.js';
+import { CodeSplitter } from '../@domain/services/CodeSplitter.js';
+import { Doc } from '../@domain/entities/Doc.js';
+import { Chunk } from '../@domain/entities/Chunk.js';
+
+// Files larger than this are skipped unless maxFileSizeMb says otherwise
+export const DEFAULT_MAX_FILE_SIZE_MB = 20;
+
+/**
+ * Chunk, embed and save one document, the step every learn_* use case shares.
+ *
+ * A doc whose SHA and embedding signature match the stored one is left as is,
+ * before its content is even read; docs embedded with another model or prefix
+ * template are stale and get re-embedded. The doc (and its SHA) is saved only
+ * once every chunk is embedded, so a failed document is retried on the next
+ * run instead of skipped.
+ *
+ * @param {Object} services
+ * @param {Object} services.docsRepo
+ * @param {Object} services.embeddingService
+ * @param {Object} services.chunkOptions - maxTokens/overlapTokens for ContentSplitter
+ * @param {Object} doc
+ * @param {string} doc.repoOwner
+ * @param {string} doc.repoName
+ * @param {string} doc.path
+ * @param {string} doc.ref - Branch or tag, '' for docs that belong to none
+ * @param {string} doc.sha - Hash of the content, compared with the stored one
+ * @param {number} [doc.loaderVersion] - Version of the loader that extracts
+ *   the text from a file identified by its blob SHA
+ * @param {string} doc.sourceType
+ * @param {Function} doc.getContent - () => Promise<string>, called only when the doc is (re)indexed
+ * @param {string|null} doc.language - CodeSplitter language, null for docs
+ * @param {Object|null} [doc.metadata] - Defaults to the Markdown front-matter of docs
+ * @param {string} doc.embeddingSignature
+ * @param {boolean} doc.force - Re-index even when unchanged
+ * @returns {Promise<{status: 'new'|'updated'|'unchanged', chunks: number}>}
+ */
+export const indexDocument = async (
+  { docsRepo, embeddingService, chunkOptions = {} },
+  {
+    repoOwner,
+    repoName,
+    path,
+    ref = '',
+    sha,
+    loaderVersion = 1,
+    sourceType,
+    getContent,
+    language = null,
+    metadata,
+    embeddingSignature,
+    force = false,
+  },
+) => {
+  // A blob SHA does not change with the loader, so a newer loader's version
+  // is part of the stored SHA and files it extracted before are re-indexed
+  const docSha = loaderVersion > 1 ? `${sha}+v${loaderVersion}` : sha;
+  const existing = await docsRepo.findDoc(repoOwner, repoName, path, ref);
+  if (
+    !force &&
+    existing &&
+    existing.sha === docSha &&
+    existing.embeddingSignature === embeddingSignature
+  ) {
+    return { status: 'unchanged', chunks: 0 };
+  }
+
+  const text = await getContent();
+
+  // Source code is chunked on symbol boundaries, docs on headings
+  const chunksData = language
+    ? CodeSplitter.smartChunk(text, language)
+    : ContentSplitter.smartChunk(text, chunkOptions);
+  const embeddings = await embeddingService.embedDocuments(
+    chunksData.map((chunkData) => `${chunkData.header}\n${chunkData.content}`),
+  );
+
+  const docId = await docsRepo.saveDoc(
+    new Doc({
+      repoOwner,
+      repoName,
+      path,
+      ref,
+      sha: docSha,
+      content: text,
+      sourceType,
+      embeddingSignature,
+      metadata:
+        metadata ??
+        (language ? null : ContentSplitter.parseFrontMatter(text).metadata),
+    }),
+  );
+
+  const chunks = chunksData.map(
+    (chunkData, idx) =>
+      new Chunk({
+        docId,
+        header: chunkData.header,
+        content: chunkData.content,
+        wordCount: chunkData.wordCount,
+        pageStart: chunkData.pageStart,
+        pageEnd: chunkData.pageEnd,
+        embedding: embeddings[idx],
+      }),
+  );
+
+  await docsRepo.saveChunks(docId, chunks);
+  return { status: existing ? 'updated' : 'new', chunks: chunks.length };
+};
@@ -1,8 +1,29 @@
 import crypto from 'crypto';
+
+const SEARCH_MODES = ['hybrid', 'lexical', 'semantic'];
+
 export class AskKnowledgeUseCase {
-  constructor(docsRepo, embeddingService, logger = null) {
+  /**
+   * @param {IDocsRepository} docsRepo
+   * @param {IEmbeddingService} embeddingService
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {Object} options.searchDefaults - Server-wide mode, lexicalWeight,
+   *   semanticWeight, rrfK and candidatePool, overridable per query
+   * @param {IRerankerService} options.reranker - Used by queries asking to rerank
+   * @param {number} options.rerankDepth - Fused candidates rescored by default
+   */
+  constructor(
+    docsRepo,
+    embeddingService,
+    logger = null,
+    { searchDefaults = {}, reranker = null, rerankDepth = 20 } = {},
+  ) {
     this.docsRepo = docsRepo;
     this.embeddingService = embeddingService;
+    this.searchDefaults = searchDefaults;
+    this.reranker = reranker;
+    this.rerankDepth = rerankDepth;
     this.logger = logger || {
       info: () => {},
       error: () => {},
@@ -10,30 +31,148 @@ export class AskKnowledgeUseCase {
     };
   }
 
-  async execute({ query, limit = 10 }) {
+  async execute({
+    query,
+    limit = 10,
+    source_type,
+    repo_owner,
+    repo_name,
+    ref,
+    path,
+    extension,
+    mode,
+    lexicalWeight,
+    semanticWeight,
+    rrfK,
+    candidatePool,
+    advanced = false,
+    rerank = false,
+    rerankDepth = this.rerankDepth,
+  }) {
     if (!query) {
       throw new Error('query is required');
     }
+    if (rerank) {
+      if (!this.reranker) {
+        throw new Error('Reranking is not available on this server');
+      }
+      if (!Number.isInteger(rerankDepth) || rerankDepth <= 0) {
+        throw new Error('rerankDepth must be a positive integer');
+      }
+    }
+
+    const searchOptions = this.resolveSearchOptions({
+      mode,
+      lexicalWeight,
+      semanticWeight,
+      rrfK,
+      candidatePool,
+    });
+
+    // Lexical search needs no query embedding
+    const queryEmbedding =
+      searchOptions.mode === 'lexical' ? null : await this.embedQuery(query);
+
+    const filters = {
+      sourceType: source_type,
+      repoOwner: repo_owner,
+      repoName: repo_name,
+      ref,
+      path,
+      extensions: extension ? [].concat(extension) : [],
+    };
+
+    // Reranking needs the deeper candidate list to choose the top hits from
+    const results = await this.docsRepo.searchHybrid(
+      query,
+      queryEmbedding,
+      rerank ? Math.max(limit, rerankDepth) : limit,
+      filters,
+      { ...searchOptions, advanced },
+    );
+
+    if (!rerank) {
+      return results;
+    }
+    const reranked = await this.rerankResults(query, results, rerankDepth);
+    return reranked.slice(0, limit);
+  }
+
+  /**
+   * Rescore the top fused results with the reranker and sort them by the new
+   * score; results beyond the depth keep their fused order after them.
+   */
+  async rerankResults(query, results, depth) {
+    const candidates = results.slice(0, depth);
+    if (candidates.length === 0) return results;
+
+    const scores = await this.reranker.rerank(
+      query,
+      candidates.map((r) => `${r.header}\n${r.content}`),
+    );
+    this.logger.info(
+      `🔀 Reranked ${candidates.length} results with ${this.reranker.getModelName()}`,
+    );
+
+    const reranked = candidates
+      .map((r, i) => ({ ...r, rerank_score: scores[i] }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+    return [...reranked, ...results.slice(depth)];
+  }
 
+  async embedQuery(query) {
     const model = this.embeddingService.getModelName();
+    const signature = this.embeddingService.getSignature();
     const hash = crypto
       .createHash('sha256')
-      .update(`${model}:${query}`)
+      .update(`${signature}:${query}`)
       .digest('hex');
 
     let queryEmbedding = await this.docsRepo.getCachedEmbedding(hash);
 
     if (!queryEmbedding) {
-      queryEmbedding = await this.embeddingService.embed(query);
+      queryEmbedding = await this.embeddingService.embedQuery(query);
       await this.docsRepo.cacheEmbedding(hash, query, model, queryEmbedding);
     }
 
-    const results = await this.docsRepo.searchHybrid(
-      query,
-      queryEmbedding,
-      limit,
-    );
+    return queryEmbedding;
+  }
+
+  /**
+   * Merge per-query search options over the server defaults and validate them.
+   * Options left unset by both are omitted, so searchHybrid's defaults apply.
+   */
+  resolveSearchOptions(overrides) {
+    const options = { ...this.searchDefaults };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) options[key] = value;
+    }
+    for (const [key, value] of Object.entries(options)) {
+      if (value === undefined || value === null) delete options[key];
+    }
+
+    if (options.mode !== undefined && !SEARCH_MODES.includes(options.mode)) {
+      throw new Error(
+        `mode must be one of ${SEARCH_MODES.join(', ')}, got "${options.mode}"`,
+      );
+    }
+    for (const key of ['lexicalWeight', 'semanticWeight']) {
+      if (
+        options[key] !== undefined &&
+        !(Number.isFinite(options[key]) && options[key] >= 0)
+      ) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+    }
+    for (const key of ['rrfK', 'candidatePool']) {
+      if (
+        options[key] !== undefined &&
+        !(Number.isInteger(options[key]) && options[key] > 0)
+      ) {
+        throw new Error(`${key} must be a positive integer`);
+      }
+    }
 
-    return results;
+    return options;
   }
 }
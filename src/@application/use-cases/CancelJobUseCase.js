@@ -0,0 +1,28 @@
+export class CancelJobUseCase {
+  constructor(docsRepo, runIndexingJob, logger = null) {
+    this.docsRepo = docsRepo;
+    this.runIndexingJob = runIndexingJob;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  async execute({ job_id }) {
+    if (!job_id) {
+      throw new Error('job_id is required');
+    }
+
+    const job = await this.docsRepo.getJob(job_id);
+    if (!job) {
+      throw new Error(`Unknown job ${job_id}`);
+    }
+    if (!(await this.runIndexingJob.cancel(job_id))) {
+      throw new Error(`Job ${job_id} is already ${job.status}`);
+    }
+
+    this.logger.info(`🛑 Cancelling job ${job_id}`);
+    return this.docsRepo.getJob(job_id);
+  }
+}
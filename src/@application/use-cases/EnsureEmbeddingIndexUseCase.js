@@ -0,0 +1,67 @@
+// Indexes created before the registry existed could only have been built with
+// nomic-embed-text, which was hard-coded along with the 768-d vector table.
+const LEGACY_EMBEDDING_INDEX = {
+  model: 'nomic-embed-text-v1.5',
+  dimensions: 768,
+};
+
+export class EnsureEmbeddingIndexUseCase {
+  constructor(docsRepo, embeddingService, logger = null) {
+    this.docsRepo = docsRepo;
+    this.embeddingService = embeddingService;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Check that the active embedding model matches the one the index was
+   * built with, registering it when the index is new or empty.
+   * Throws on a mismatch rather than mixing vectors from different models.
+   *
+   * @param {Object} options
+   * @param {number|null} options.dimensions - Configured vector size, if any
+   * @returns {Promise<{ model: string, dimensions: number }>}
+   */
+  async execute({ dimensions = null } = {}) {
+    const model = this.embeddingService.getModelFamily();
+    const actualDimensions = await this.embeddingService.getDimensions();
+
+    if (dimensions && dimensions !== actualDimensions) {
+      throw new Error(
+        `Embedding model "${this.embeddingService.getModelName()}" produces ${actualDimensions}-d vectors, but ${dimensions} dimensions are configured.`,
+      );
+    }
+
+    const current = { model, dimensions: actualDimensions };
+    const stats = await this.docsRepo.getStats();
+    const registered =
+      (await this.docsRepo.getEmbeddingIndex()) ||
+      (stats.total_chunks > 0 ? LEGACY_EMBEDDING_INDEX : null);
+
+    if (
+      registered &&
+      registered.model === current.model &&
+      registered.dimensions === current.dimensions
+    ) {
+      await this.docsRepo.registerEmbeddingIndex(current);
+      return current;
+    }
+
+    // Nothing has been embedded yet, so the index can simply follow the model.
+    if (stats.total_chunks === 0) {
+      await this.docsRepo.resetEmbeddingIndex(current);
+      this.logger.info(
+        `🧭 Embedding index set to ${current.model} (${current.dimensions}-d)`,
+      );
+      return current;
+    }
+
+    throw new Error(
+      `Embedding index mismatch: the knowledge base was built with "${registered.model}" (${registered.dimensions}-d), but the active model is "${current.model}" (${current.dimensions}-d). ` +
+        'Refusing to mix embeddings from different models. Run the reembed tool to migrate the index to the active model, or configure the original model again.',
+    );
+  }
+}
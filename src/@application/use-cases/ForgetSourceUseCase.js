@@ -0,0 +1,24 @@
+export class ForgetSourceUseCase {
+  constructor(docsRepo, logger = null) {
+    this.docsRepo = docsRepo;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  async execute({ repo_owner, repo_name, ref = null }) {
+    if (!repo_owner || !repo_name) {
+      throw new Error('repo_owner and repo_name are required');
+    }
+
+    const result = await this.docsRepo.deleteSource(repo_owner, repo_name, ref);
+
+    this.logger.info(
+      `🗑️ Forgot ${ref ? `ref ${ref} of ` : ''}source ${repo_owner}/${repo_name}: ${result.docs} docs, ${result.chunks} chunks`,
+    );
+
+    return result;
+  }
+}
@@ -0,0 +1,33 @@
+// Upper bound on neighbours per side, to keep responses readable
+const MAX_NEIGHBORS = 20;
+
+export class GetChunkContextUseCase {
+  constructor(docsRepo, logger = null) {
+    this.docsRepo = docsRepo;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Get a chunk together with the chunks around it in the same doc
+   * @param {Object} params
+   * @param {number} params.chunk_id - Chunk id from ask_knowledge
+   * @param {number} params.neighbors - Chunks to include before and after (default: 2)
+   * @returns {Promise<{chunk: Object, before: Object[], after: Object[]}>}
+   */
+  async execute({ chunk_id, neighbors = 2 }) {
+    if (chunk_id === undefined) {
+      throw new Error('chunk_id is required');
+    }
+
+    const count = Math.min(Math.max(Math.floor(neighbors), 0), MAX_NEIGHBORS);
+    const context = await this.docsRepo.getChunkContext(chunk_id, count, count);
+    if (!context) {
+      throw new Error(`Unknown chunk ${chunk_id}`);
+    }
+    return context;
+  }
+}
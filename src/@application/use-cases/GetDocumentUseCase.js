@@ -0,0 +1,43 @@
+export class GetDocumentUseCase {
+  constructor(docsRepo, logger = null) {
+    this.docsRepo = docsRepo;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Get an indexed doc with its full content, by id or by source and path
+   * @param {Object} params
+   * @param {number} params.doc_id - Doc id
+   * @param {string} params.repo_owner - Source owner ('__local__' for local folders)
+   * @param {string} params.repo_name - Source repository or folder name
+   * @param {string} params.path - Doc path within the source
+   * @param {string} [params.ref] - Branch or tag, when the source has several
+   *   (default: the most recently indexed one)
+   * @returns {Promise<Doc>}
+   */
+  async execute({ doc_id, repo_owner, repo_name, path, ref = null }) {
+    if (doc_id !== undefined) {
+      const doc = await this.docsRepo.getDoc(doc_id);
+      if (!doc) {
+        throw new Error(`Unknown doc ${doc_id}`);
+      }
+      return doc;
+    }
+
+    if (!repo_owner || !repo_name || !path) {
+      throw new Error('doc_id, or repo_owner, repo_name and path are required');
+    }
+
+    const found = await this.docsRepo.findDoc(repo_owner, repo_name, path, ref);
+    if (!found) {
+      throw new Error(
+        `Unknown doc ${repo_owner}/${repo_name}/${path}${ref ? ` at ${ref}` : ''}`,
+      );
+    }
+    return this.docsRepo.getDoc(found.id);
+  }
+}
@@ -0,0 +1,51 @@
+export class GetJobStatusUseCase {
+  constructor(docsRepo, logger = null) {
+    this.docsRepo = docsRepo;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Get a job with its timing, or the most recent jobs when no id is given.
+   * The ETA extrapolates the average time per file processed so far.
+   *
+   * @param {Object} params
+   * @param {string} params.job_id - Job id (optional)
+   * @param {number} params.limit - Jobs to list without a job_id (default: 10)
+   * @returns {Promise<Object|Object[]>}
+   */
+  async execute({ job_id, limit = 10 } = {}) {
+    if (!job_id) {
+      const jobs = await this.docsRepo.listJobs(limit);
+      return jobs.map((job) => this.withTiming(job));
+    }
+
+    const job = await this.docsRepo.getJob(job_id);
+    if (!job) {
+      throw new Error(`Unknown job ${job_id}`);
+    }
+    return this.withTiming(job);
+  }
+
+  withTiming(job) {
+    if (!job.started_at) {
+      return { ...job, elapsed_seconds: null, eta_seconds: null };
+    }
+
+    const end = job.finished_at ? Date.parse(job.finished_at) : Date.now();
+    const elapsedSeconds = (end - Date.parse(job.started_at)) / 1000;
+    const etaSeconds =
+      job.status === 'running' && job.processed > 0 && job.total
+        ? (elapsedSeconds / job.processed) * (job.total - job.processed)
+        : null;
+
+    return {
+      ...job,
+      elapsed_seconds: Math.round(elapsedSeconds),
+      eta_seconds: etaSeconds === null ? null : Math.round(etaSeconds),
+    };
+  }
+}
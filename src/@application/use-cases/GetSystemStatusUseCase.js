@@ -1,6 +1,7 @@
 export class GetSystemStatusUseCase {
-  constructor(docsRepo, logger = null) {
+  constructor(docsRepo, embeddingService, logger = null) {
     this.docsRepo = docsRepo;
+    this.embeddingService = embeddingService;
     this.logger = logger || {
       info: () => {},
       error: () => {},
@@ -9,6 +10,21 @@ export class GetSystemStatusUseCase {
   }
 
   async execute() {
-    return await this.docsRepo.getStats();
+    const embeddingSignature = this.embeddingService.getSignature();
+    const stats = await this.docsRepo.getStats(embeddingSignature);
+    const embeddingIndex = await this.docsRepo.getEmbeddingIndex();
+    return {
+      ...stats,
+      embedding_signature: embeddingSignature,
+      embedding_model: embeddingIndex?.model ?? null,
+      embedding_dimensions: embeddingIndex?.dimensions ?? null,
+      reembed_pending: Boolean(
+        await this.docsRepo.getIndexMeta('reembed_signature'),
+      ),
+      missing_embeddings: await this.docsRepo.countChunksWithoutEmbeddings(),
+      watched_directories: (await this.docsRepo.listWatchedDirectories()).map(
+        (dir) => dir.directory_path,
+      ),
+    };
   }
 }
@@ -1,15 +1,38 @@
-import { ContentSplitter } from '../../@domain/services/ContentSplitter.js';
 import { BatchProcessor } from '../../@domain/services/BatchProcessor.js';
-import { Doc } from '../../@domain/entities/Doc.js';
-import { Chunk } from '../../@domain/entities/Chunk.js';
+import { DEFAULT_MAX_FILE_SIZE_MB, indexDocument } from '../indexDocument.js';
 import crypto from 'crypto';
 import path from 'path';
 
+/**
+ * Whether a path is still part of the folder: listed for indexing, or
+ * skipped (too large, or under a directory excluded by default)
+ * @returns {Function} (filePath) => boolean
+ */
+const listedPathsOf = (files, skipped) => {
+  const listedPaths = new Set([...files, ...skipped.map((f) => f.path)]);
+  const skippedDirs = skipped
+    .map((f) => f.path)
+    .filter((skippedPath) => skippedPath.endsWith(path.sep));
+  return (filePath) =>
+    listedPaths.has(filePath) ||
+    skippedDirs.some((dir) => filePath.startsWith(dir));
+};
+
 export class LearnFilesystemUseCase {
-  constructor(docsRepo, fsService, embeddingService, logger = null) {
+  /**
+   * @param {Object} chunkOptions - maxTokens/overlapTokens for ContentSplitter
+   */
+  constructor(
+    docsRepo,
+    fsService,
+    embeddingService,
+    logger = null,
+    chunkOptions = {},
+  ) {
     this.docsRepo = docsRepo;
     this.fsService = fsService;
     this.embeddingService = embeddingService;
+    this.chunkOptions = chunkOptions;
     this.logger =
       logger ||
       ({
@@ -19,97 +42,251 @@ export class LearnFilesystemUseCase {
       });
   }
 
-  async execute({ directoryPath, maxDepth = 10 }) {
+  /**
+   * Check the arguments before anything is read, e.g. before a job is queued
+   */
+  async validate({ directoryPath }) {
     if (!directoryPath) {
       throw new Error('directoryPath is required');
     }
+  }
+
+  async execute({
+    directoryPath,
+    maxDepth = 10,
+    include = [],
+    exclude = [],
+    maxFileSizeMb = DEFAULT_MAX_FILE_SIZE_MB,
+    dryRun = false,
+    force = false,
+    signal = null,
+    onProgress = null,
+  }) {
+    await this.validate({ directoryPath });
 
     this.logger.info(
       `📁 Starting local filesystem indexing: ${directoryPath}`,
     );
 
-    const files = await this.fsService.getFilesRecursive(
+    const { files, skipped } = await this.fsService.getFilesRecursive(
       directoryPath,
       maxDepth,
+      { include, exclude, maxFileSize: maxFileSizeMb * 1024 * 1024 },
     );
     const repoOwner = '__local__';
     const repoName = path.basename(directoryPath);
 
     this.logger.info(
-      `📄 Found ${files.length} files to index (.md, .mdx, .pdf)`,
+      `📄 Found ${files.length} files to index (${this.fsService.getSupportedExtensions().join(', ')})`,
     );
+    const tooLarge = skipped.filter((f) => f.reason === 'too large');
+    if (tooLarge.length > 0) {
+      this.logger.info(
+        `⏭️ Skipping ${tooLarge.length} files over ${maxFileSizeMb} MB`,
+      );
+    }
+    if (skipped.length > tooLarge.length) {
+      this.logger.info(
+        `⏭️ Skipping ${skipped.length - tooLarge.length} directories excluded by default`,
+      );
+    }
 
     const batchSize = BatchProcessor.calculateOptimalBatchSize(files.length);
     this.logger.info(
       `⚙️ Using batch size: ${batchSize} (optimized for ${files.length} files)`,
     );
 
+    const embeddingSignature = this.embeddingService.getSignature();
     let totalChunks = 0;
     let processedFiles = 0;
+    let newFiles = 0;
+    let updatedFiles = 0;
+    let unchangedFiles = 0;
+    const failedFiles = [];
 
+    onProgress?.({ processed: 0, total: files.length, failedFiles });
     await BatchProcessor.processBatch(
       files,
       batchSize,
       async (filePath) => {
         try {
-          const text = await this.fsService.readFile(filePath);
-          const fileSha = crypto
-            .createHash('sha256')
-            .update(text)
-            .digest('hex');
-
-          const docObj = new Doc({
+          const { status, chunks } = await this.indexFile(filePath, {
             repoOwner,
             repoName,
-            path: filePath,
-            sha: fileSha,
-            content: text,
-            sourceType: 'local',
+            embeddingSignature,
+            force,
           });
-
-          const docId = await this.docsRepo.saveDoc(docObj);
-
-          const chunksData = ContentSplitter.smartChunk(text);
-          const chunks = [];
-
-          for (const chunkData of chunksData) {
-            const embeddingText = `${chunkData.header}\n${chunkData.content}`;
-            const embedding = await this.embeddingService.embed(embeddingText);
-
-            chunks.push(
-              new Chunk({
-                docId,
-                header: chunkData.header,
-                content: chunkData.content,
-                wordCount: chunkData.wordCount,
-                embedding,
-              }),
-            );
-          }
-
-          await this.docsRepo.saveChunks(docId, chunks);
-          totalChunks += chunks.length;
+          totalChunks += chunks;
           processedFiles++;
+          if (status === 'new') newFiles++;
+          if (status === 'updated') updatedFiles++;
+          if (status === 'unchanged') unchangedFiles++;
         } catch (error) {
           this.logger.error(
             `Error processing local file ${filePath}: ${error?.stack || error}`,
           );
+          failedFiles.push({
+            path: filePath,
+            error: error?.message || String(error),
+          });
         }
       },
       (processed, total) => {
         // Log progress after each batch
         this.logger.progress(processed, total, 'files');
+        onProgress?.({ processed, total, failedFiles });
       },
+      signal,
     );
 
+    // Docs indexed for this folder whose files are gone from the listing were
+    // deleted or renamed on disk. Folders sharing a basename share a source,
+    // so only paths under this directory are considered. Skipped files still
+    // exist, so their docs are kept.
+    const dirPrefix = path.join(directoryPath, path.sep);
+    const isListed = listedPathsOf(files, skipped);
+    const stalePaths = (
+      await this.docsRepo.getDocPaths(repoOwner, repoName)
+    ).filter((docPath) => docPath.startsWith(dirPrefix) && !isListed(docPath));
+    let prunedDocs = 0;
+    if (!dryRun && stalePaths.length > 0) {
+      prunedDocs = await this.docsRepo.deleteDocs(
+        repoOwner,
+        repoName,
+        stalePaths,
+      );
+    }
+
+    await this.docsRepo.saveSource({
+      repoOwner,
+      repoName,
+      sourceType: 'local',
+      options: { directoryPath, maxDepth, include, exclude, maxFileSizeMb },
+    });
+
     this.logger.info(
-      `✅ Completed indexing: ${processedFiles}/${files.length} local files, ${totalChunks} chunks`,
+      `✅ Completed indexing: ${processedFiles}/${files.length} local files (${newFiles} new, ${updatedFiles} updated, ${unchangedFiles} unchanged), ${totalChunks} chunks, ${dryRun ? `${stalePaths.length} stale (dry run)` : `${prunedDocs} pruned`}`,
     );
 
     return {
       processedFiles,
       totalFiles: files.length,
       totalChunks,
+      newFiles,
+      updatedFiles,
+      unchangedFiles,
+      prunedDocs,
+      stalePaths,
+      skippedFiles: skipped,
+      failedFiles,
+      dryRun,
     };
   }
+
+  /**
+   * Re-index just the given paths of a directory, e.g. after a file watcher
+   * reported them. Touched files that are still indexable are re-chunked and
+   * re-embedded if their content changed; docs for paths that are gone (or now
+   * filtered out) are deleted. A path may be a directory, covering every file
+   * beneath it. Oversized files keep their docs, as in execute().
+   *
+   * @param {Object} params
+   * @param {string} params.directoryPath - Indexed root directory
+   * @param {string[]} params.paths - Absolute paths that changed
+   * @returns {Promise<{updatedFiles: number, totalChunks: number, deletedDocs: number}>}
+   */
+  async syncPaths({
+    directoryPath,
+    paths,
+    maxDepth = 10,
+    include = [],
+    exclude = [],
+    maxFileSizeMb = DEFAULT_MAX_FILE_SIZE_MB,
+  }) {
+    const repoOwner = '__local__';
+    const repoName = path.basename(directoryPath);
+    const isTouched = (filePath) =>
+      paths.some(
+        (touched) =>
+          filePath === touched ||
+          filePath.startsWith(path.join(touched, path.sep)),
+      );
+
+    // Only the touched paths are listed, not the whole tree
+    const { files, skipped } = await this.fsService.getFilesRecursive(
+      directoryPath,
+      maxDepth,
+      {
+        include,
+        exclude,
+        maxFileSize: maxFileSizeMb * 1024 * 1024,
+        paths,
+      },
+    );
+    const isListed = listedPathsOf(files, skipped);
+
+    const embeddingSignature = this.embeddingService.getSignature();
+    let updatedFiles = 0;
+    let totalChunks = 0;
+    for (const filePath of files) {
+      try {
+        const { status, chunks } = await this.indexFile(filePath, {
+          repoOwner,
+          repoName,
+          embeddingSignature,
+        });
+        if (status !== 'unchanged') updatedFiles++;
+        totalChunks += chunks;
+      } catch (error) {
+        this.logger.error(
+          `Error processing local file ${filePath}: ${error?.stack || error}`,
+        );
+      }
+    }
+
+    const dirPrefix = path.join(directoryPath, path.sep);
+    const removedPaths = (
+      await this.docsRepo.getDocPaths(repoOwner, repoName)
+    ).filter(
+      (docPath) =>
+        docPath.startsWith(dirPrefix) &&
+        isTouched(docPath) &&
+        !isListed(docPath),
+    );
+    const deletedDocs =
+      removedPaths.length > 0
+        ? await this.docsRepo.deleteDocs(repoOwner, repoName, removedPaths)
+        : 0;
+
+    if (updatedFiles > 0 || deletedDocs > 0) {
+      this.logger.info(
+        `🔄 Synced ${directoryPath}: ${updatedFiles} files re-indexed (${totalChunks} chunks), ${deletedDocs} docs removed`,
+      );
+    }
+
+    return { updatedFiles, totalChunks, deletedDocs };
+  }
+
+  /**
+   * Index one file unless its content and embedding signature are unchanged
+   * @returns {Promise<{status: 'new'|'updated'|'unchanged', chunks: number}>}
+   */
+  async indexFile(
+    filePath,
+    { repoOwner, repoName, embeddingSignature, force = false },
+  ) {
+    const text = await this.fsService.readFile(filePath);
+    const fileSha = crypto.createHash('sha256').update(text).digest('hex');
+
+    return indexDocument(this, {
+      repoOwner,
+      repoName,
+      path: filePath,
+      sha: fileSha,
+      sourceType: 'local',
+      getContent: async () => text,
+      embeddingSignature,
+      force,
+    });
+  }
 }
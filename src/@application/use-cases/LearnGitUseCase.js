@@ -0,0 +1,247 @@
+import { CodeSplitter } from '../../@domain/services/CodeSplitter.js';
+import { BatchProcessor } from '../../@domain/services/BatchProcessor.js';
+import { GlobMatcher } from '../../@domain/services/GlobMatcher.js';
+import { DEFAULT_MAX_FILE_SIZE_MB, indexDocument } from '../indexDocument.js';
+
+/**
+ * Indexes a repository from any git server (GitLab, Gitea, a bare internal
+ * server) or a local clone. Docs are keyed by ref and blob SHA like GitHub
+ * ones, and each ref remembers the commit it was indexed at.
+ */
+export class LearnGitUseCase {
+  /**
+   * @param {Object} chunkOptions - maxTokens/overlapTokens for ContentSplitter
+   */
+  constructor(
+    docsRepo,
+    gitService,
+    embeddingService,
+    logger = null,
+    chunkOptions = {},
+  ) {
+    this.docsRepo = docsRepo;
+    this.gitService = gitService;
+    this.embeddingService = embeddingService;
+    this.chunkOptions = chunkOptions;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Check the arguments before anything is fetched, e.g. before a job is queued
+   */
+  async validate({ url, owner, repo }) {
+    if (!url) {
+      throw new Error('url is required');
+    }
+
+    // Sources are keyed by owner and name, so indexing under another
+    // source's name would overwrite its settings and take over its docs
+    const { repoOwner, repoName } = this.sourceName({ url, owner, repo });
+    const existingSource = await this.docsRepo.getSource(repoOwner, repoName);
+    if (existingSource && existingSource.source_type !== 'git') {
+      throw new Error(
+        `${repoOwner}/${repoName} is already a ${existingSource.source_type} source; pass another owner or repo`,
+      );
+    }
+  }
+
+  /**
+   * Owner and name the docs are stored under, by default derived from the URL
+   */
+  sourceName({ url, owner, repo }) {
+    const remote = this.gitService.parseRemote(url);
+    return { repoOwner: owner || remote.owner, repoName: repo || remote.name };
+  }
+
+  async execute({
+    url,
+    ref = 'HEAD',
+    owner,
+    repo,
+    includeCode = false,
+    include = [],
+    exclude = [],
+    maxFileSizeMb = DEFAULT_MAX_FILE_SIZE_MB,
+    dryRun = false,
+    force = false,
+    signal = null,
+    onProgress = null,
+  }) {
+    await this.validate({ url, owner, repo });
+    const { repoOwner, repoName } = this.sourceName({ url, owner, repo });
+
+    this.logger.info(
+      `🌐 Starting git repository indexing: ${url} (${ref}) as ${repoOwner}/${repoName}`,
+    );
+
+    const dir = await this.gitService.open(url);
+    const commit = await this.gitService.resolveCommit(dir, ref);
+    const tree = await this.gitService.getTree(dir, commit);
+
+    const {
+      included: candidates,
+      excludedByDefault,
+      excludedDirs,
+    } = GlobMatcher.filterFiles(
+      tree.filter((f) => this.gitService.isSupported(f.path, { includeCode })),
+      { include, exclude },
+    );
+
+    // The tree reports blob sizes, so oversized files are never read
+    const maxFileSize = maxFileSizeMb * 1024 * 1024;
+    const files = candidates.filter((f) => f.size <= maxFileSize);
+    const tooLarge = candidates
+      .filter((f) => f.size > maxFileSize)
+      .map((f) => ({ path: f.path, size: f.size, reason: 'too large' }));
+    const skipped = [
+      ...excludedDirs.map((dir) => ({
+        path: `${dir}/`,
+        reason: 'excluded by default',
+      })),
+      ...tooLarge,
+    ];
+
+    this.logger.info(
+      `📁 Found ${files.length} files to index at ${commit.slice(0, 12)} (${this.gitService.getSupportedExtensions({ includeCode }).join(', ')})`,
+    );
+    if (excludedDirs.length > 0) {
+      this.logger.info(
+        `⏭️ Skipping ${excludedByDefault.length} files under ${excludedDirs.join(', ')} (excluded by default)`,
+      );
+    }
+    if (tooLarge.length > 0) {
+      this.logger.info(
+        `⏭️ Skipping ${tooLarge.length} files over ${maxFileSizeMb} MB`,
+      );
+    }
+
+    // Docs indexed before refs were recorded are taken over by the first ref
+    // indexed since, so they are compared by SHA instead of indexed again
+    if (!dryRun) {
+      const claimedDocs = await this.docsRepo.claimDocsWithoutRef(
+        repoOwner,
+        repoName,
+        ['git'],
+        ref,
+      );
+      if (claimedDocs > 0) {
+        this.logger.info(
+          `🔖 Assigned ${claimedDocs} docs indexed before refs were recorded to ${ref}`,
+        );
+      }
+    }
+
+    const batchSize = BatchProcessor.calculateOptimalBatchSize(files.length);
+    const embeddingSignature = this.embeddingService.getSignature();
+    let totalChunks = 0;
+    let processedFiles = 0;
+    let newFiles = 0;
+    let updatedFiles = 0;
+    let unchangedFiles = 0;
+    const failedFiles = [];
+
+    onProgress?.({ processed: 0, total: files.length, failedFiles });
+    await BatchProcessor.processBatch(
+      files,
+      batchSize,
+      async (file) => {
+        try {
+          // A blob SHA names the exact content, so an equal SHA means an
+          // unchanged file whatever commit of this ref it was indexed at
+          const { status, chunks } = await indexDocument(this, {
+            repoOwner,
+            repoName,
+            path: file.path,
+            ref,
+            sha: file.sha,
+            loaderVersion: this.gitService.getLoaderVersion(file.path),
+            sourceType: 'git',
+            getContent: () =>
+              this.gitService.getFileContent(dir, file.sha, file.path),
+            language: includeCode ? CodeSplitter.languageFor(file.path) : null,
+            embeddingSignature,
+            force,
+          });
+          totalChunks += chunks;
+          processedFiles++;
+          if (status === 'new') newFiles++;
+          if (status === 'updated') updatedFiles++;
+          if (status === 'unchanged') unchangedFiles++;
+        } catch (error) {
+          this.logger.error(
+            `Error processing file ${file.path}: ${error?.stack || error}`,
+          );
+          failedFiles.push({
+            path: file.path,
+            error: error?.message || String(error),
+          });
+        }
+      },
+      (processed, total) => {
+        this.logger.progress(processed, total, 'files');
+        onProgress?.({ processed, total, failedFiles });
+      },
+      signal,
+    );
+
+    // git always lists the full tree, so docs missing from it are gone at
+    // this commit. Files skipped for their size or by a default exclude
+    // still exist and are kept.
+    const listedPaths = new Set(
+      [...candidates, ...excludedByDefault].map((f) => f.path),
+    );
+    const stalePaths = (
+      await this.docsRepo.getDocPaths(repoOwner, repoName, ['git'], ref)
+    ).filter((docPath) => !listedPaths.has(docPath));
+    let prunedDocs = 0;
+    if (!dryRun && stalePaths.length > 0) {
+      prunedDocs = await this.docsRepo.deleteDocs(
+        repoOwner,
+        repoName,
+        stalePaths,
+        ref,
+      );
+    }
+
+    await this.docsRepo.saveSource({
+      repoOwner,
+      repoName,
+      sourceType: 'git',
+      options: {
+        url,
+        ref,
+        includeCode,
+        include,
+        exclude,
+        maxFileSizeMb,
+      },
+    });
+    await this.docsRepo.saveSourceRef({ repoOwner, repoName, ref, commit });
+
+    this.logger.info(
+      `✅ Completed indexing: ${processedFiles}/${files.length} files at ${commit.slice(0, 12)} (${newFiles} new, ${updatedFiles} updated, ${unchangedFiles} unchanged), ${totalChunks} chunks, ${dryRun ? `${stalePaths.length} stale (dry run)` : `${prunedDocs} pruned`}`,
+    );
+
+    return {
+      repoOwner,
+      repoName,
+      ref,
+      commit,
+      processedFiles,
+      totalFiles: files.length,
+      totalChunks,
+      newFiles,
+      updatedFiles,
+      unchangedFiles,
+      prunedDocs,
+      stalePaths,
+      skippedFiles: skipped,
+      failedFiles,
+      dryRun,
+    };
+  }
+}
@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import { ContentSplitter } from '../../@domain/services/ContentSplitter.js';
+import { GithubContentFormatter } from '../../@domain/services/GithubContentFormatter.js';
+import { BatchProcessor } from '../../@domain/services/BatchProcessor.js';
+import { indexDocument } from '../indexDocument.js';
+
+const ISSUE_STATES = ['open', 'closed', 'all'];
+
+const hashOf = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Indexes the conversations around a GitHub repository: issues with their
+ * comments, discussions and wiki pages. Each item becomes a doc whose path
+ * mirrors its github.com URL (issues/12, discussions/7, wiki/Home) under the
+ * repository's owner and name, so it is searched alongside the repo's files.
+ */
+export class LearnGithubContentUseCase {
+  /**
+   * @param {Object} chunkOptions - maxTokens/overlapTokens for ContentSplitter
+   */
+  constructor(
+    docsRepo,
+    githubService,
+    embeddingService,
+    logger = null,
+    chunkOptions = {},
+  ) {
+    this.docsRepo = docsRepo;
+    this.githubService = githubService;
+    this.embeddingService = embeddingService;
+    this.chunkOptions = chunkOptions;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Check the arguments before anything is fetched, e.g. before a job is queued
+   */
+  async validate({
+    owner,
+    repo,
+    issues = true,
+    discussions = true,
+    wiki = true,
+    state = 'all',
+  }) {
+    if (!owner || !repo) {
+      throw new Error('owner and repo are required');
+    }
+    if (!issues && !discussions && !wiki) {
+      throw new Error('Enable at least one of issues, discussions or wiki');
+    }
+    if (!ISSUE_STATES.includes(state)) {
+      throw new Error(`state must be one of ${ISSUE_STATES.join(', ')}`);
+    }
+  }
+
+  async execute({
+    owner,
+    repo,
+    issues = true,
+    discussions = true,
+    wiki = true,
+    state = 'all',
+    dryRun = false,
+    force = false,
+    signal = null,
+    onProgress = null,
+  }) {
+    await this.validate({ owner, repo, issues, discussions, wiki, state });
+
+    this.logger.info(
+      `🌐 Starting GitHub issues/discussions/wiki indexing: ${owner}/${repo}`,
+    );
+
+    const embeddingSignature = this.embeddingService.getSignature();
+    // An issue listed with the update time and comment count it was indexed
+    // with has not changed, so its comments are not fetched again
+    const isIssueUnchanged = async (issue) => {
+      if (force) return false;
+      const existing = await this.docsRepo.findDoc(
+        owner,
+        repo,
+        `issues/${issue.number}`,
+        '',
+      );
+      return (
+        existing?.embeddingSignature === embeddingSignature &&
+        existing.metadata?.updatedAt === issue.updatedAt &&
+        existing.metadata?.comments === issue.comments
+      );
+    };
+
+    // Each kind is fetched on its own: a repo without discussions or a wiki
+    // still gets its issues indexed, and a kind that failed is not pruned.
+    const kinds = [
+      issues && {
+        sourceType: 'github_issue',
+        fetch: async () =>
+          (
+            await this.githubService.getIssues(owner, repo, {
+              state,
+              isUnchanged: isIssueUnchanged,
+            })
+          ).map((issue) => {
+            if (issue.unchanged) {
+              return { path: `issues/${issue.number}`, unchanged: true };
+            }
+            const content = GithubContentFormatter.formatIssue(issue);
+            return {
+              path: `issues/${issue.number}`,
+              sha: hashOf(content),
+              content,
+              metadata: {
+                number: issue.number,
+                title: issue.title,
+                state: issue.state,
+                labels: issue.labels,
+                url: issue.url,
+                author: issue.author,
+                comments: issue.comments.length,
+                updatedAt: issue.updatedAt,
+              },
+            };
+          }),
+      },
+      discussions && {
+        sourceType: 'github_discussion',
+        fetch: async () =>
+          (await this.githubService.getDiscussions(owner, repo)).map(
+            (discussion) => {
+              const content =
+                GithubContentFormatter.formatDiscussion(discussion);
+              return {
+                path: `discussions/${discussion.number}`,
+                sha: hashOf(content),
+                content,
+                metadata: {
+                  number: discussion.number,
+                  title: discussion.title,
+                  state: discussion.state,
+                  category: discussion.category,
+                  answered: discussion.answered,
+                  labels: discussion.labels,
+                  url: discussion.url,
+                  author: discussion.author,
+                  comments: discussion.comments.length,
+                  updatedAt: discussion.updatedAt,
+                },
+              };
+            },
+          ),
+      },
+      wiki && {
+        sourceType: 'github_wiki',
+        fetch: async () =>
+          (await this.githubService.getWikiPages(owner, repo)).map((page) => ({
+            path: `wiki/${page.path.replace(/\.[^./]+$/, '')}`,
+            sha: page.sha,
+            content: page.content,
+            metadata: {
+              ...ContentSplitter.parseFrontMatter(page.content).metadata,
+              title: page.name.replace(/-/g, ' '),
+              url: page.url,
+            },
+          })),
+      },
+    ].filter(Boolean);
+
+    const items = [];
+    const fetchedTypes = [];
+    const failedFiles = [];
+    for (const kind of kinds) {
+      try {
+        const kindItems = await kind.fetch();
+        items.push(
+          ...kindItems.map((item) => ({
+            ...item,
+            sourceType: kind.sourceType,
+          })),
+        );
+        fetchedTypes.push(kind.sourceType);
+        this.logger.info(
+          `📁 Found ${kindItems.length} ${kind.sourceType} items`,
+        );
+      } catch (error) {
+        this.logger.error(
+          `Error fetching ${kind.sourceType} items of ${owner}/${repo}: ${error?.stack || error}`,
+        );
+        failedFiles.push({
+          path: kind.sourceType,
+          error: error?.message || String(error),
+        });
+      }
+    }
+
+    const batchSize = BatchProcessor.calculateOptimalBatchSize(items.length);
+    let totalChunks = 0;
+    let processedFiles = 0;
+    let newFiles = 0;
+    let updatedFiles = 0;
+    let unchangedFiles = 0;
+
+    onProgress?.({ processed: 0, total: items.length, failedFiles });
+    await BatchProcessor.processBatch(
+      items,
+      batchSize,
+      async (item) => {
+        try {
+          if (item.unchanged) {
+            unchangedFiles++;
+            processedFiles++;
+            return;
+          }
+
+          // Issues, discussions and wiki pages belong to no branch or tag
+          const { status, chunks } = await indexDocument(this, {
+            repoOwner: owner,
+            repoName: repo,
+            path: item.path,
+            ref: '',
+            sha: item.sha,
+            sourceType: item.sourceType,
+            getContent: async () => item.content,
+            metadata: item.metadata,
+            embeddingSignature,
+            force,
+          });
+          totalChunks += chunks;
+          processedFiles++;
+          if (status === 'new') newFiles++;
+          if (status === 'updated') updatedFiles++;
+          if (status === 'unchanged') unchangedFiles++;
+        } catch (error) {
+          this.logger.error(
+            `Error processing ${item.path}: ${error?.stack || error}`,
+          );
+          failedFiles.push({
+            path: item.path,
+            error: error?.message || String(error),
+          });
+        }
+      },
+      (processed, total) => {
+        this.logger.progress(processed, total, 'items');
+        onProgress?.({ processed, total, failedFiles });
+      },
+      signal,
+    );
+
+    // Items of a fetched kind that are no longer listed were deleted, or fell
+    // outside the requested issue state
+    const listedPaths = new Set(items.map((item) => item.path));
+    const stalePaths =
+      fetchedTypes.length > 0
+        ? (
+            await this.docsRepo.getDocPaths(owner, repo, fetchedTypes, '')
+          ).filter((docPath) => !listedPaths.has(docPath))
+        : [];
+    let prunedDocs = 0;
+    if (!dryRun && stalePaths.length > 0) {
+      prunedDocs = await this.docsRepo.deleteDocs(owner, repo, stalePaths, '');
+    }
+
+    // A repository indexed with learn_repository stays a 'github' source, so
+    // reindex_source refreshes both its files and this content
+    const source = await this.docsRepo.getSource(owner, repo);
+    await this.docsRepo.saveSource({
+      repoOwner: owner,
+      repoName: repo,
+      sourceType:
+        source?.source_type === 'github' ? 'github' : 'github_content',
+      options: {
+        ...source?.options,
+        content: { issues, discussions, wiki, state },
+      },
+    });
+
+    this.logger.info(
+      `✅ Completed indexing: ${processedFiles}/${items.length} items (${newFiles} new, ${updatedFiles} updated, ${unchangedFiles} unchanged), ${totalChunks} chunks, ${dryRun ? `${stalePaths.length} stale (dry run)` : `${prunedDocs} pruned`}`,
+    );
+
+    return {
+      processedFiles,
+      totalFiles: items.length,
+      totalChunks,
+      newFiles,
+      updatedFiles,
+      unchangedFiles,
+      prunedDocs,
+      stalePaths,
+      skippedFiles: [],
+      failedFiles,
+      dryRun,
+    };
+  }
+}
@@ -1,13 +1,23 @@
-import { ContentSplitter } from '../../@domain/services/ContentSplitter.js';
+import { CodeSplitter } from '../../@domain/services/CodeSplitter.js';
 import { BatchProcessor } from '../../@domain/services/BatchProcessor.js';
-import { Doc } from '../../@domain/entities/Doc.js';
-import { Chunk } from '../../@domain/entities/Chunk.js';
+import { GlobMatcher } from '../../@domain/services/GlobMatcher.js';
+import { DEFAULT_MAX_FILE_SIZE_MB, indexDocument } from '../indexDocument.js';
 
 export class LearnRepositoryUseCase {
-  constructor(docsRepo, githubService, embeddingService, logger = null) {
+  /**
+   * @param {Object} chunkOptions - maxTokens/overlapTokens for ContentSplitter
+   */
+  constructor(
+    docsRepo,
+    githubService,
+    embeddingService,
+    logger = null,
+    chunkOptions = {},
+  ) {
     this.docsRepo = docsRepo;
     this.githubService = githubService;
     this.embeddingService = embeddingService;
+    this.chunkOptions = chunkOptions;
     this.logger =
       logger ||
       ({
@@ -17,100 +27,229 @@ export class LearnRepositoryUseCase {
       });
   }
 
-  async execute({ owner, repo, branch }) {
+  /**
+   * Check the arguments before anything is fetched, e.g. before a job is queued
+   */
+  async validate({ owner, repo }) {
     if (!owner || !repo) {
       throw new Error('owner and repo are required');
     }
+  }
+
+  async execute({
+    owner,
+    repo,
+    branch = 'main',
+    includeCode = false,
+    include = [],
+    exclude = [],
+    maxFileSizeMb = DEFAULT_MAX_FILE_SIZE_MB,
+    dryRun = false,
+    force = false,
+    signal = null,
+    onProgress = null,
+  }) {
+    await this.validate({ owner, repo });
 
     this.logger.info(
-      `🌐 Starting GitHub repository indexing: ${owner}/${repo}`,
+      `🌐 Starting GitHub repository indexing: ${owner}/${repo} (${branch})`,
     );
 
-    const files = (
-      await this.githubService.getTree(owner, repo, branch)
-    ).filter(
-      (f) =>
-        f.path.endsWith('.md') ||
-        f.path.endsWith('.mdx') ||
-        f.path.endsWith('.pdf'),
+    const { tree, truncated, commit } = await this.githubService.getTree(
+      owner,
+      repo,
+      branch,
+    );
+    const {
+      included: candidates,
+      excludedByDefault,
+      excludedDirs,
+    } = GlobMatcher.filterFiles(
+      tree.filter(
+        (f) =>
+          f.type === 'blob' &&
+          this.githubService.isSupported(f.path, { includeCode }),
+      ),
+      { include, exclude },
     );
 
+    // The tree reports blob sizes, so oversized files are never downloaded
+    const maxFileSize = maxFileSizeMb * 1024 * 1024;
+    const files = candidates.filter((f) => f.size <= maxFileSize);
+    const tooLarge = candidates
+      .filter((f) => f.size > maxFileSize)
+      .map((f) => ({ path: f.path, size: f.size, reason: 'too large' }));
+    const skipped = [
+      ...excludedDirs.map((dir) => ({
+        path: `${dir}/`,
+        reason: 'excluded by default',
+      })),
+      ...tooLarge,
+    ];
+
     this.logger.info(
-      `📁 Found ${files.length} files to index (.md, .mdx, .pdf)`,
+      `📁 Found ${files.length} files to index (${this.githubService.getSupportedExtensions({ includeCode }).join(', ')})`,
     );
+    if (excludedDirs.length > 0) {
+      this.logger.info(
+        `⏭️ Skipping ${excludedByDefault.length} files under ${excludedDirs.join(', ')} (excluded by default)`,
+      );
+    }
+    if (tooLarge.length > 0) {
+      this.logger.info(
+        `⏭️ Skipping ${tooLarge.length} files over ${maxFileSizeMb} MB`,
+      );
+    }
+
+    // Docs indexed before refs were recorded are taken over by the first ref
+    // indexed since, so they are compared by SHA instead of indexed again
+    if (!dryRun) {
+      const claimedDocs = await this.docsRepo.claimDocsWithoutRef(
+        owner,
+        repo,
+        ['github'],
+        branch,
+      );
+      if (claimedDocs > 0) {
+        this.logger.info(
+          `🔖 Assigned ${claimedDocs} docs indexed before refs were recorded to ${branch}`,
+        );
+      }
+    }
 
     const batchSize = BatchProcessor.calculateOptimalBatchSize(files.length);
     this.logger.info(
       `⚙️ Using batch size: ${batchSize} (optimized for ${files.length} files)`,
     );
 
+    const embeddingSignature = this.embeddingService.getSignature();
     let totalChunks = 0;
     let processedFiles = 0;
+    let newFiles = 0;
+    let updatedFiles = 0;
+    let unchangedFiles = 0;
+    const failedFiles = [];
 
+    onProgress?.({ processed: 0, total: files.length, failedFiles });
     await BatchProcessor.processBatch(
       files,
       batchSize,
       async (file) => {
         try {
-          const text = await this.githubService.getFileContent(
-            owner,
-            repo,
-            file.sha,
-            file.path,
-          );
-
-          const docObj = new Doc({
+          // The tree already carries the blob SHA, so unchanged files are
+          // skipped before downloading anything. Each branch or tag has its
+          // own copy of the docs.
+          const { status, chunks } = await indexDocument(this, {
             repoOwner: owner,
             repoName: repo,
             path: file.path,
+            ref: branch,
             sha: file.sha,
-            content: text,
+            loaderVersion: this.githubService.getLoaderVersion(file.path),
             sourceType: 'github',
+            getContent: () =>
+              this.githubService.getFileContent(
+                owner,
+                repo,
+                file.sha,
+                file.path,
+              ),
+            language: includeCode ? CodeSplitter.languageFor(file.path) : null,
+            embeddingSignature,
+            force,
           });
-
-          const docId = await this.docsRepo.saveDoc(docObj);
-
-          const chunksData = ContentSplitter.smartChunk(text);
-          const chunks = [];
-
-          for (const chunkData of chunksData) {
-            const embeddingText = `${chunkData.header}\n${chunkData.content}`;
-            const embedding = await this.embeddingService.embed(embeddingText);
-
-            chunks.push(
-              new Chunk({
-                docId,
-                header: chunkData.header,
-                content: chunkData.content,
-                wordCount: chunkData.wordCount,
-                embedding,
-              }),
-            );
-          }
-
-          await this.docsRepo.saveChunks(docId, chunks);
-          totalChunks += chunks.length;
+          totalChunks += chunks;
           processedFiles++;
+          if (status === 'new') newFiles++;
+          if (status === 'updated') updatedFiles++;
+          if (status === 'unchanged') unchangedFiles++;
         } catch (error) {
           this.logger.error(
             `Error processing file ${file.path}: ${error?.stack || error}`,
           );
+          failedFiles.push({
+            path: file.path,
+            error: error?.message || String(error),
+          });
         }
       },
       (processed, total) => {
         // Log progress after each batch
         this.logger.progress(processed, total, 'files');
+        onProgress?.({ processed, total, failedFiles });
       },
+      signal,
     );
 
+    // Docs indexed for this source whose paths are gone from the tree were
+    // deleted or renamed upstream. A truncated tree is not a full listing, so
+    // nothing is pruned in that case. Files skipped for their size or by a
+    // default exclude still exist, so their docs are kept.
+    let stalePaths = [];
+    let prunedDocs = 0;
+    if (truncated) {
+      this.logger.info(
+        `⚠️ GitHub returned a truncated tree for ${owner}/${repo}; skipping pruning`,
+      );
+    } else {
+      const listedPaths = new Set(
+        [...candidates, ...excludedByDefault].map((f) => f.path),
+      );
+      // Issues, discussions and wiki pages share the source but not the tree
+      stalePaths = (
+        await this.docsRepo.getDocPaths(owner, repo, ['github'], branch)
+      ).filter((docPath) => !listedPaths.has(docPath));
+      if (!dryRun && stalePaths.length > 0) {
+        prunedDocs = await this.docsRepo.deleteDocs(
+          owner,
+          repo,
+          stalePaths,
+          branch,
+        );
+      }
+    }
+
+    // Keep the issue/discussion/wiki settings stored by learn_github_content
+    const { content } =
+      (await this.docsRepo.getSource(owner, repo))?.options || {};
+    await this.docsRepo.saveSource({
+      repoOwner: owner,
+      repoName: repo,
+      sourceType: 'github',
+      options: {
+        branch,
+        includeCode,
+        include,
+        exclude,
+        maxFileSizeMb,
+        content,
+      },
+    });
+    await this.docsRepo.saveSourceRef({
+      repoOwner: owner,
+      repoName: repo,
+      ref: branch,
+      commit,
+    });
+
     this.logger.info(
-      `✅ Completed indexing: ${processedFiles}/${files.length} files, ${totalChunks} chunks`,
+      `✅ Completed indexing: ${processedFiles}/${files.length} files (${newFiles} new, ${updatedFiles} updated, ${unchangedFiles} unchanged), ${totalChunks} chunks, ${dryRun ? `${stalePaths.length} stale (dry run)` : `${prunedDocs} pruned`}`,
     );
 
     return {
+      ref: branch,
+      commit,
       processedFiles,
       totalFiles: files.length,
       totalChunks,
+      newFiles,
+      updatedFiles,
+      unchangedFiles,
+      prunedDocs,
+      stalePaths,
+      skippedFiles: skipped,
+      failedFiles,
+      dryRun,
     };
   }
 }
@@ -0,0 +1,31 @@
+export class ListDocumentsUseCase {
+  constructor(docsRepo, logger = null) {
+    this.docsRepo = docsRepo;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * List indexed docs (without content), one page at a time
+   * @param {Object} params
+   * @param {string} params.cursor - nextCursor of the previous page (optional)
+   * @param {number} params.limit - Docs per page (default: 100)
+   * @returns {Promise<{docs: Doc[], nextCursor: string|undefined}>}
+   */
+  async execute({ cursor, limit = 100 } = {}) {
+    const afterId = cursor ? Number(cursor) : 0;
+    if (!Number.isInteger(afterId) || afterId < 0) {
+      throw new Error(`Invalid cursor: ${cursor}`);
+    }
+
+    const docs = await this.docsRepo.listDocs(afterId, limit);
+    return {
+      docs,
+      nextCursor:
+        docs.length === limit ? String(docs[docs.length - 1].id) : undefined,
+    };
+  }
+}
@@ -0,0 +1,28 @@
+export class ListSourcesUseCase {
+  constructor(docsRepo, logger = null) {
+    this.docsRepo = docsRepo;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Indexed sources, each with the branches and tags indexed for it and the
+   * commit each was indexed at
+   */
+  async execute() {
+    const sources = await this.docsRepo.listSources();
+    const refs = await this.docsRepo.listSourceRefs();
+
+    return sources.map((source) => ({
+      ...source,
+      refs: refs.filter(
+        (sourceRef) =>
+          sourceRef.repo_owner === source.repo_owner &&
+          sourceRef.repo_name === source.repo_name,
+      ),
+    }));
+  }
+}
@@ -0,0 +1,122 @@
+// index_meta key holding the signature of an unfinished re-embed
+const REEMBED_KEY = 'reembed_signature';
+
+export class ReembedUseCase {
+  constructor(docsRepo, embeddingService, logger = null) {
+    this.docsRepo = docsRepo;
+    this.embeddingService = embeddingService;
+    this.logger =
+      logger ||
+      ({
+        info: () => {},
+        error: () => {},
+        progress: () => {},
+      });
+  }
+
+  /**
+   * Recompute every chunk embedding with the active embedding service,
+   * rebuilding the vector index from stored chunks (no source is re-fetched).
+   *
+   * Progress lives in the index itself: chunks without an embedding are still
+   * pending, so an interrupted run resumes where it stopped.
+   *
+   * @param {Object} options
+   * @param {number} options.pageSize - Chunks embedded (as one batch) and saved per page (default: 100)
+   * @param {Function} options.onProgress - Called with { processed, total } after each page
+   */
+  async execute({ pageSize = 100, onProgress = null } = {}) {
+    const signature = this.embeddingService.getSignature();
+    const index = {
+      model: this.embeddingService.getModelFamily(),
+      dimensions: await this.embeddingService.getDimensions(),
+    };
+
+    const resumed =
+      (await this.docsRepo.getIndexMeta(REEMBED_KEY)) === signature;
+    let invalidatedCacheEntries = 0;
+
+    if (!resumed) {
+      this.logger.info(
+        `🔁 Starting re-embed with ${index.model} (${index.dimensions}-d)`,
+      );
+      await this.docsRepo.resetEmbeddingIndex(index);
+      invalidatedCacheEntries = await this.docsRepo.invalidateCachedEmbeddings(
+        this.embeddingService.getModelName(),
+      );
+      // Recorded only once the old vectors are gone: a run that stops before
+      // this point starts over, rather than resuming on top of old vectors
+      // and stamping them with the new signature
+      await this.docsRepo.setIndexMeta(REEMBED_KEY, signature);
+    } else {
+      this.logger.info(`🔁 Resuming re-embed with ${index.model}`);
+    }
+
+    const total = await this.docsRepo.countChunksWithoutEmbeddings();
+    let embeddedChunks = 0;
+    let failedChunks = 0;
+    let lastId = 0;
+
+    while (true) {
+      const page = await this.docsRepo.getChunksWithoutEmbeddings(
+        lastId,
+        pageSize,
+      );
+      if (page.length === 0) break;
+      lastId = page[page.length - 1].id;
+
+      const entries = [];
+      try {
+        const embeddings = await this.embeddingService.embedDocuments(
+          page.map((chunk) => `${chunk.header}\n${chunk.content}`),
+        );
+        page.forEach((chunk, idx) =>
+          entries.push({ chunkId: chunk.id, embedding: embeddings[idx] }),
+        );
+      } catch (batchError) {
+        // Retry one by one so a single bad chunk doesn't fail the whole page
+        for (const chunk of page) {
+          try {
+            const embedding = await this.embeddingService.embedDocument(
+              `${chunk.header}\n${chunk.content}`,
+            );
+            entries.push({ chunkId: chunk.id, embedding });
+          } catch (error) {
+            failedChunks++;
+            this.logger.error(
+              `Error re-embedding chunk ${chunk.id}: ${error?.stack || error}`,
+            );
+          }
+        }
+      }
+
+      // Each page is committed on its own, so an interruption loses at most
+      // one page of work.
+      await this.docsRepo.saveEmbeddings(entries);
+      embeddedChunks += entries.length;
+      this.logger.progress(embeddedChunks + failedChunks, total, 'chunks');
+      onProgress?.({ processed: embeddedChunks + failedChunks, total });
+    }
+
+    // Failed chunks stay pending; the next run picks them up.
+    const completed = failedChunks === 0;
+    if (completed) {
+      await this.docsRepo.markDocsEmbedded(signature);
+      await this.docsRepo.setIndexMeta(REEMBED_KEY, null);
+    }
+
+    this.logger.info(
+      `✅ Re-embed ${completed ? 'completed' : 'incomplete'}: ${embeddedChunks}/${total} chunks, ${failedChunks} failed`,
+    );
+
+    return {
+      ...index,
+      resumed,
+      completed,
+      totalChunks: total,
+      embeddedChunks,
+      failedChunks,
+      invalidatedCacheEntries,
+    };
+  }
+}
@@ -0,0 +1,152 @@
+// Sum the counts and join the lists of two indexing results
+const combineResults = (first, second) =>
+  Object.fromEntries(
+    Object.entries(first).map(([key, value]) => {
+      if (Array.isArray(value)) return [key, [...value, ...second[key]]];
+      if (typeof value === 'number') return [key, value + second[key]];
+      return [key, value];
+    }),
+  );
+
+export class ReindexSourceUseCase {
+  constructor(
+    docsRepo,
+    learnRepository,
+    learnFilesystem,
+    learnGithubContent,
+    learnGit,
+    logger = null,
+  ) {
+    this.docsRepo = docsRepo;
+    this.learnRepository = learnRepository;
+    this.learnFilesystem = learnFilesystem;
+    this.learnGithubContent = learnGithubContent;
+    this.learnGit = learnGit;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Check the arguments and that the source is known, e.g. before a job is
+   * queued
+   * @returns {Promise<Object>} The source
+   */
+  async validate({ repo_owner, repo_name }) {
+    if (!repo_owner || !repo_name) {
+      throw new Error('repo_owner and repo_name are required');
+    }
+
+    const source = await this.docsRepo.getSource(repo_owner, repo_name);
+    if (!source) {
+      throw new Error(
+        `Unknown source ${repo_owner}/${repo_name}. Index it with learn_repository, learn_github_content, learn_git or learn_filesystem first.`,
+      );
+    }
+    return source;
+  }
+
+  async execute({
+    repo_owner,
+    repo_name,
+    ref = null,
+    force = false,
+    dryRun = false,
+    signal = null,
+    onProgress = null,
+  }) {
+    const source = await this.validate({ repo_owner, repo_name });
+
+    this.logger.info(
+      `🔁 Re-indexing ${source.source_type} source ${repo_owner}/${repo_name}${ref ? ` (${ref})` : ''}`,
+    );
+
+    if (source.source_type === 'local') {
+      const result = await this.learnFilesystem.execute({
+        ...source.options,
+        force,
+        dryRun,
+        signal,
+        onProgress,
+      });
+      return { ...result, sourceType: source.source_type };
+    }
+
+    // Every indexed branch or tag is refreshed, one after the other, unless a
+    // single ref is asked for
+    const indexedRefs = ref
+      ? [ref]
+      : (await this.docsRepo.listSourceRefs(repo_owner, repo_name)).map(
+          (sourceRef) => sourceRef.ref,
+        );
+    // A ref that fails (e.g. a deleted branch) is reported with the failed
+    // files and the others are still refreshed; only if every ref fails is
+    // the error thrown
+    const learnRefs = async (learn, refOption) => {
+      let result = null;
+      let lastError = null;
+      const failedRefs = [];
+      const refs =
+        indexedRefs.length > 0 ? indexedRefs : [source.options[refOption]];
+      for (const indexedRef of refs) {
+        try {
+          const refResult = await learn.execute({
+            ...source.options,
+            [refOption]: indexedRef,
+            owner: repo_owner,
+            repo: repo_name,
+            force,
+            dryRun,
+            signal,
+            onProgress,
+          });
+          result = result ? combineResults(result, refResult) : refResult;
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          this.logger.error(
+            `Error re-indexing ${repo_owner}/${repo_name} at ${indexedRef}: ${error?.stack || error}`,
+          );
+          lastError = error;
+          failedRefs.push({
+            path: `ref ${indexedRef}`,
+            error: error?.message || String(error),
+          });
+        }
+      }
+      if (!result) throw lastError;
+      return {
+        ...result,
+        failedFiles: [...result.failedFiles, ...failedRefs],
+      };
+    };
+
+    if (source.source_type === 'git') {
+      const result = await learnRefs(this.learnGit, 'ref');
+      return { ...result, sourceType: source.source_type };
+    }
+
+    // Issues, discussions and wiki pages learned with learn_github_content
+    const learnContent = () =>
+      this.learnGithubContent.execute({
+        ...source.options.content,
+        owner: repo_owner,
+        repo: repo_name,
+        force,
+        dryRun,
+        signal,
+        onProgress,
+      });
+
+    if (source.source_type === 'github_content') {
+      return { ...(await learnContent()), sourceType: source.source_type };
+    }
+
+    let result = await learnRefs(this.learnRepository, 'branch');
+    if (source.options.content && !ref) {
+      result = combineResults(result, await learnContent());
+    }
+    return { ...result, sourceType: source.source_type };
+  }
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+
+export class RunIndexingJobUseCase {
+  /**
+   * @param {IDocsRepository} docsRepo
+   * @param {Object} runners - Job type → { validate: async (params), run: async (params, { signal, onProgress }) => result }
+   * @param {Object} logger
+   */
+  constructor(docsRepo, runners, logger = null) {
+    this.docsRepo = docsRepo;
+    this.runners = runners;
+    this.controllers = new Map();
+    this.queue = Promise.resolve();
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Queue an indexing job and return it without waiting for it to run.
+   * Jobs run one at a time, in the order they were queued. Invalid arguments
+   * are rejected here rather than by a job that fails later.
+   *
+   * @param {Object} params
+   * @param {string} params.type - Job type, a key of the runners
+   * @param {Object} params.params - Arguments for the runner
+   * @returns {Promise<Object>} The queued job
+   */
+  async execute({ type, params = {} }) {
+    const runner = this.runners[type];
+    if (!runner) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    await runner.validate(params);
+
+    const id = crypto.randomUUID();
+    await this.docsRepo.createJob({ id, type, params });
+
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    this.queue = this.queue.then(() =>
+      this.run(id, runner, params, controller.signal).catch((error) =>
+        this.logger.error(
+          `Job ${id} bookkeeping failed: ${error?.stack || error}`,
+        ),
+      ),
+    );
+
+    this.logger.info(`🕒 Queued ${type} job ${id}`);
+    return this.docsRepo.getJob(id);
+  }
+
+  /**
+   * Cancel a queued or running job. A running job stops before its next
+   * batch of files; files already indexed stay indexed.
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} Whether the job was queued or running
+   */
+  async cancel(id) {
+    const controller = this.controllers.get(id);
+    if (!controller) return false;
+
+    controller.abort();
+    const job = await this.docsRepo.getJob(id);
+    if (job.status === 'queued') {
+      await this.docsRepo.updateJob(id, {
+        status: 'cancelled',
+        error: 'Cancelled before it started',
+        finishedAt: new Date().toISOString(),
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Mark jobs left queued or running by a previous server process as failed
+   * @returns {Promise<number>} Number of interrupted jobs
+   */
+  async recover() {
+    return this.docsRepo.failInterruptedJobs('Interrupted by a server restart');
+  }
+
+  async run(id, runner, params, signal) {
+    try {
+      if (signal.aborted) return;
+
+      await this.docsRepo.updateJob(id, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+      });
+
+      const result = await runner.run(params, {
+        signal,
+        onProgress: ({ processed, total, failedFiles }) => {
+          this.docsRepo
+            .updateJob(id, { processed, total, errors: failedFiles })
+            .catch((error) =>
+              this.logger.error(`Job ${id} progress update failed: ${error}`),
+            );
+        },
+      });
+
+      await this.docsRepo.updateJob(id, {
+        status: 'completed',
+        processed: result.totalFiles,
+        total: result.totalFiles,
+        errors: result.failedFiles,
+        result,
+        finishedAt: new Date().toISOString(),
+      });
+      this.logger.info(`✅ Job ${id} completed`);
+    } catch (error) {
+      const cancelled = signal.aborted;
+      await this.docsRepo.updateJob(id, {
+        status: cancelled ? 'cancelled' : 'failed',
+        error: cancelled ? 'Cancelled' : error?.message || String(error),
+        finishedAt: new Date().toISOString(),
+      });
+      if (cancelled) {
+        this.logger.info(`🛑 Job ${id} cancelled`);
+      } else {
+        this.logger.error(`Job ${id} failed: ${error?.stack || error}`);
+      }
+    } finally {
+      this.controllers.delete(id);
+    }
+  }
+}
@@ -0,0 +1,30 @@
+export class UnwatchFilesystemUseCase {
+  constructor(docsRepo, fileWatcher, logger = null) {
+    this.docsRepo = docsRepo;
+    this.fileWatcher = fileWatcher;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Stop watching a directory and forget it for future restarts.
+   * Its docs stay indexed; use forget_source to remove them.
+   */
+  async execute({ directoryPath }) {
+    if (!directoryPath) {
+      throw new Error('directoryPath is required');
+    }
+
+    const stopped = this.fileWatcher.unwatch(directoryPath);
+    const removed = await this.docsRepo.deleteWatchedDirectory(directoryPath);
+    if (!stopped && !removed) {
+      throw new Error(`${directoryPath} is not being watched`);
+    }
+
+    this.logger.info(`🛑 Stopped watching ${directoryPath}`);
+    return { directoryPath };
+  }
+}
@@ -0,0 +1,93 @@
+export class WatchFilesystemUseCase {
+  constructor(docsRepo, fileWatcher, learnFilesystem, logger = null) {
+    this.docsRepo = docsRepo;
+    this.fileWatcher = fileWatcher;
+    this.learnFilesystem = learnFilesystem;
+    this.logger = logger || {
+      info: () => {},
+      error: () => {},
+      progress: () => {},
+    };
+  }
+
+  /**
+   * Index a local directory, then keep it in sync: changed files are
+   * re-indexed and docs of removed files deleted as the watcher reports them.
+   * The directory is remembered, so watching resumes after a restart.
+   *
+   * @param {Object} params
+   * @param {string} params.directoryPath - Absolute path to the directory
+   * @param {number} params.debounceMs - Quiet period before re-indexing a burst of changes (default: 1000)
+   * @param {Function} params.onProgress - Progress callback for the initial indexing
+   */
+  async execute({
+    directoryPath,
+    maxDepth = 10,
+    include = [],
+    exclude = [],
+    maxFileSizeMb,
+    debounceMs = 1000,
+    signal = null,
+    onProgress = null,
+  }) {
+    if (!directoryPath) {
+      throw new Error('directoryPath is required');
+    }
+
+    const options = { maxDepth, include, exclude, maxFileSizeMb, debounceMs };
+    const result = await this.learnFilesystem.execute({
+      directoryPath,
+      maxDepth,
+      include,
+      exclude,
+      maxFileSizeMb,
+      signal,
+      onProgress,
+    });
+
+    await this.docsRepo.saveWatchedDirectory(directoryPath, options);
+    this.startWatcher(directoryPath, options);
+    this.logger.info(`👁️ Watching ${directoryPath}`);
+
+    return { ...result, directoryPath, debounceMs };
+  }
+
+  /**
+   * Restart the watchers of every remembered directory, catching up on
+   * changes made while the server was down
+   * @returns {Promise<string[]>} Directories being watched again
+   */
+  async resume() {
+    const watched = await this.docsRepo.listWatchedDirectories();
+    const resumed = [];
+    for (const { directory_path: directoryPath, options } of watched) {
+      try {
+        const { debounceMs, ...learnOptions } = options;
+        await this.learnFilesystem.execute({ directoryPath, ...learnOptions });
+        this.startWatcher(directoryPath, options);
+        resumed.push(directoryPath);
+        this.logger.info(`👁️ Resumed watching ${directoryPath}`);
+      } catch (error) {
+        this.logger.error(
+          `Could not resume watching ${directoryPath}: ${error?.message || error}`,
+        );
+      }
+    }
+    return resumed;
+  }
+
+  startWatcher(directoryPath, { debounceMs, ...filters }) {
+    this.fileWatcher.watch(
+      directoryPath,
+      (paths) =>
+        this.learnFilesystem.syncPaths({ directoryPath, paths, ...filters }),
+      {
+        debounceMs,
+        onError: (error) =>
+          this.logger.error(
+            `Watcher error for ${directoryPath}: ${error?.stack || error}`,
+          ),
+      },
+    );
+  }
+}
@@ -1,10 +1,22 @@
 export class Chunk {
-  constructor({ id, docId, header, content, wordCount, embedding, createdAt }) {
+  constructor({
+    id,
+    docId,
+    header,
+    content,
+    wordCount,
+    pageStart = null,
+    pageEnd = null,
+    embedding,
+    createdAt,
+  }) {
     this.id = id;
     this.docId = docId;
     this.header = header;
     this.content = content;
     this.wordCount = wordCount;
+    this.pageStart = pageStart; // first/last page of paged sources (PDF), else null
+    this.pageEnd = pageEnd;
     this.embedding = embedding; // Float32Array | null
     this.createdAt = createdAt;
   }
@@ -4,18 +4,24 @@ export class Doc {
     repoOwner,
     repoName,
     path,
+    ref,
     sha,
     content,
     sourceType,
+    embeddingSignature,
+    metadata,
     indexedAt,
   }) {
     this.id = id;
     this.repoOwner = repoOwner;
     this.repoName = repoName;
     this.path = path;
+    this.ref = ref || ''; // branch, tag or commit for repository docs, '' otherwise
     this.sha = sha;
     this.content = content;
-    this.sourceType = sourceType; // 'github' | 'local'
+    this.sourceType = sourceType; // 'github' | 'local' | 'github_issue' | 'github_discussion' | 'github_wiki' | 'git'
+    this.embeddingSignature = embeddingSignature; // model + prefix templates used for its chunks
+    this.metadata = metadata; // e.g. Markdown front-matter fields, or null
     this.indexedAt = indexedAt;
   }
 }
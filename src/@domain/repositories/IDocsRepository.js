@@ -9,18 +9,111 @@ export class IDocsRepository {
   async saveDoc(doc) {
     throw new Error('Not implemented');
   }
+  async findDoc(repoOwner, repoName, path, ref) {
+    throw new Error('Not implemented');
+  }
+  async claimDocsWithoutRef(repoOwner, repoName, sourceTypes, ref) {
+    throw new Error('Not implemented');
+  }
+  async getDoc(id) {
+    throw new Error('Not implemented');
+  }
+  async listDocs(afterId, limit) {
+    throw new Error('Not implemented');
+  }
+  async getChunkContext(chunkId, before, after) {
+    throw new Error('Not implemented');
+  }
+  async getDocPaths(repoOwner, repoName, sourceTypes, ref) {
+    throw new Error('Not implemented');
+  }
+  async deleteDocs(repoOwner, repoName, paths, ref) {
+    throw new Error('Not implemented');
+  }
   async saveChunks(docId, chunks) {
     throw new Error('Not implemented');
   }
-  async searchHybrid(query, queryEmbedding, limit) {
+  async saveSource(source) {
+    throw new Error('Not implemented');
+  }
+  async getSource(repoOwner, repoName) {
+    throw new Error('Not implemented');
+  }
+  async listSources() {
+    throw new Error('Not implemented');
+  }
+  async saveSourceRef({ repoOwner, repoName, ref, commit }) {
+    throw new Error('Not implemented');
+  }
+  async listSourceRefs(repoOwner, repoName) {
+    throw new Error('Not implemented');
+  }
+  async deleteSource(repoOwner, repoName, ref) {
+    throw new Error('Not implemented');
+  }
+  async saveWatchedDirectory(directoryPath, options) {
+    throw new Error('Not implemented');
+  }
+  async listWatchedDirectories() {
+    throw new Error('Not implemented');
+  }
+  async deleteWatchedDirectory(directoryPath) {
+    throw new Error('Not implemented');
+  }
+  async createJob({ id, type, params }) {
+    throw new Error('Not implemented');
+  }
+  async updateJob(id, fields) {
+    throw new Error('Not implemented');
+  }
+  async getJob(id) {
+    throw new Error('Not implemented');
+  }
+  async listJobs(limit) {
+    throw new Error('Not implemented');
+  }
+  async failInterruptedJobs(message) {
+    throw new Error('Not implemented');
+  }
+  async searchHybrid(query, queryEmbedding, limit, filters, options) {
     throw new Error('Not implemented');
   }
-  async getStats() {
+  async getStats(embeddingSignature) {
     throw new Error('Not implemented');
   }
   async cleanup() {
     throw new Error('Not implemented');
   }
+  async getEmbeddingIndex() {
+    throw new Error('Not implemented');
+  }
+  async registerEmbeddingIndex({ model, dimensions }) {
+    throw new Error('Not implemented');
+  }
+  async resetEmbeddingIndex({ model, dimensions }) {
+    throw new Error('Not implemented');
+  }
+  async getIndexMeta(key) {
+    throw new Error('Not implemented');
+  }
+  async setIndexMeta(key, value) {
+    throw new Error('Not implemented');
+  }
+  async countChunksWithoutEmbeddings() {
+    throw new Error('Not implemented');
+  }
+  async getChunksWithoutEmbeddings(afterId, limit) {
+    throw new Error('Not implemented');
+  }
+  async saveEmbeddings(entries) {
+    throw new Error('Not implemented');
+  }
+  async markDocsEmbedded(embeddingSignature) {
+    throw new Error('Not implemented');
+  }
+  async invalidateCachedEmbeddings(keepModel) {
+    throw new Error('Not implemented');
+  }
   async getCachedEmbedding(hash) {
     throw new Error('Not implemented');
   }
@@ -18,6 +18,70 @@ export class IEmbeddingService {
     throw new Error('Not implemented');
   }
 
+  /**
+   * Generate embeddings for many texts, batching requests to the model
+   * @param {string[]} texts
+   * @returns {Promise<Float32Array[]>} One embedding per text, in order
+   */
+  async embedBatch(texts) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Generate embedding for text that will be stored and searched
+   * Applies the model's document prefix, if any.
+   * @param {string} text
+   * @returns {Promise<Float32Array>}
+   */
+  async embedDocument(text) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Batch version of embedDocument
+   * @param {string[]} texts
+   * @returns {Promise<Float32Array[]>} One embedding per text, in order
+   */
+  async embedDocuments(texts) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Generate embedding for a search query
+   * Applies the model's query prefix, if any.
+   * @param {string} text
+   * @returns {Promise<Float32Array>}
+   */
+  async embedQuery(text) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get a signature of the model and prefix templates in use
+   * Embeddings stored under a different signature are stale.
+   * @returns {string}
+   */
+  getSignature() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get the vector space this model embeds into
+   * Services sharing a family produce interchangeable embeddings.
+   * @returns {string}
+   */
+  getModelFamily() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get the number of dimensions of produced embeddings
+   * @returns {Promise<number>}
+   */
+  async getDimensions() {
+    throw new Error('Not implemented');
+  }
+
   /**
    * Get main model name
    * @returns {string}
@@ -0,0 +1,31 @@
+/**
+ * Interface for Reranker Service.
+ * Rescores search candidates by reading the query and each text together,
+ * which is slower but more precise than comparing separate embeddings.
+ */
+export class IRerankerService {
+  /**
+   * Initialize model/pipeline if needed
+   */
+  async init() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Score how relevant each text is to the query
+   * @param {string} query
+   * @param {string[]} texts
+   * @returns {Promise<number[]>} One score per text, in order (higher is more relevant)
+   */
+  async rerank(query, texts) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Get reranking model name
+   * @returns {string}
+   */
+  getModelName() {
+    throw new Error('Not implemented');
+  }
+}
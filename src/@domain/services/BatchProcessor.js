@@ -35,7 +35,9 @@ export class BatchProcessor {
    * @param {number} batchSize - Number of items to process concurrently
    * @param {Function} processFn - Async function to process each item
    * @param {Function} onBatchComplete - Optional callback after each batch completes
+   * @param {AbortSignal} signal - Optional signal; stops before the next batch once aborted
    * @returns {Promise<void>}
+   * @throws The signal's abort reason when aborted
    *
    * @example
    * await BatchProcessor.processBatch(files, 5, async (file) => {
@@ -50,10 +52,14 @@ export class BatchProcessor {
     batchSize,
     processFn,
     onBatchComplete = null,
+    signal = null,
   ) {
     let processedCount = 0;
 
     for (let i = 0; i < items.length; i += batchSize) {
+      // Items already started always finish, so no file is left half-saved
+      signal?.throwIfAborted();
+
       const batch = items.slice(i, i + batchSize);
       await Promise.all(batch.map(processFn));
 
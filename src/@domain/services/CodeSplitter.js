@@ -0,0 +1,290 @@
+const JS_DECLARATIONS = [
+  /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*(?<name>[A-Za-z_$][\w$]*)/,
+  /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\s+(?<name>[A-Za-z_$][\w$]*)/,
+  /^(?:export\s+)?(?:declare\s+)?(?:const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/,
+];
+
+const JS_MEMBERS = [
+  /^(?:(?:public|private|protected|static|async|get|set|readonly|override)\s+)*\*?(?<name>#?(?!(?:if|for|while|switch|catch|function|return)\b)[A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\([^)]*\)?\s*(?::\s*[^{]+)?\{?\s*$/,
+];
+
+/**
+ * Languages the splitter understands, keyed by name.
+ * `declarations` match top-level symbols (at column 0); `members` match
+ * nested symbols (methods) used to break up oversized classes.
+ */
+const LANGUAGES = {
+  javascript: {
+    extensions: ['.js', '.mjs', '.cjs', '.jsx'],
+    declarations: JS_DECLARATIONS,
+    members: JS_MEMBERS,
+  },
+  typescript: {
+    extensions: ['.ts', '.tsx', '.mts', '.cts'],
+    declarations: [
+      ...JS_DECLARATIONS,
+      /^(?:export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+(?<name>[A-Za-z_$][\w$]*)/,
+    ],
+    members: JS_MEMBERS,
+  },
+  python: {
+    extensions: ['.py'],
+    declarations: [/^(?:async\s+)?def\s+(?<name>\w+)/, /^class\s+(?<name>\w+)/],
+    members: [/^(?:async\s+)?def\s+(?<name>\w+)/],
+  },
+  go: {
+    extensions: ['.go'],
+    declarations: [
+      /^func\s+\(\s*\w*\s*\*?(?<owner>\w+)[^)]*\)\s*(?<name>\w+)/,
+      /^func\s+(?<name>\w+)/,
+      /^type\s+(?<name>\w+)/,
+    ],
+    members: [],
+  },
+  rust: {
+    extensions: ['.rs'],
+    declarations: [
+      /^(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(?<name>\w+)/,
+      /^(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|mod|union)\s+(?<name>\w+)/,
+      /^impl(?:<[^>]*>)?\s+(?:[\w:<>]+\s+for\s+)?(?<name>[\w:]+)/,
+    ],
+    members: [
+      /^(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(?<name>\w+)/,
+    ],
+  },
+  java: {
+    extensions: ['.java', '.kt', '.cs'],
+    declarations: [
+      /^(?:(?:public|private|protected|internal|static|final|abstract|sealed|open|data|partial)\s+)*(?:class|interface|enum|record|object)\s+(?<name>\w+)/,
+    ],
+    members: [
+      /^(?:(?:public|private|protected|internal|static|final|abstract|synchronized|override|virtual|async|suspend)\s+)*(?:fun\s+)?(?:[\w<>[\],?]+\s+)?(?<name>(?!(?:if|for|while|switch|catch|return|new)\b)\w+)\s*\([^;]*$/,
+    ],
+  },
+  ruby: {
+    extensions: ['.rb'],
+    declarations: [
+      /^def\s+(?:self\.)?(?<name>\w+[?!=]?)/,
+      /^(?:class|module)\s+(?<name>[\w:]+)/,
+    ],
+    members: [/^def\s+(?:self\.)?(?<name>\w+[?!=]?)/],
+  },
+};
+
+// Header for code before the first declaration (imports, constants)
+const MODULE_HEADER = '(module)';
+
+// Lines that belong to the declaration that follows them
+const LEADING_LINE = /^\s*(?:\/\/|\/\*|\*|#(?!!)|@)/;
+
+const countWords = (lines) =>
+  lines.reduce(
+    (total, line) => total + line.split(/\s+/).filter(Boolean).length,
+    0,
+  );
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+/**
+ * Cut lines at declarations matched by the given patterns
+ * @param {string[]} lines
+ * @param {RegExp[]} patterns - Each with a `name` (and optional `owner`) group
+ * @param {Function} isCandidate - Which lines may start a declaration
+ * @param {string} leadingHeader - Header for lines before the first match
+ * @returns {Array<{header: string, lines: string[]}>}
+ */
+const segment = (lines, patterns, isCandidate, leadingHeader) => {
+  const boundaries = [];
+
+  lines.forEach((line, idx) => {
+    if (!line.trim() || !isCandidate(line)) return;
+    for (const pattern of patterns) {
+      const match = line.trim().match(pattern);
+      if (match) {
+        const { owner, name } = match.groups;
+        boundaries.push({ idx, header: owner ? `${owner}.${name}` : name });
+        return;
+      }
+    }
+  });
+
+  // Pull preceding comments and decorators into the declaration
+  boundaries.forEach((boundary, i) => {
+    const floor = i > 0 ? boundaries[i - 1].idx + 1 : 0;
+    while (boundary.idx > floor && LEADING_LINE.test(lines[boundary.idx - 1])) {
+      boundary.idx--;
+    }
+  });
+
+  const segments = [];
+  const firstIdx = boundaries.length > 0 ? boundaries[0].idx : lines.length;
+  if (firstIdx > 0) {
+    segments.push({ header: leadingHeader, lines: lines.slice(0, firstIdx) });
+  }
+  boundaries.forEach((boundary, i) => {
+    const end =
+      i + 1 < boundaries.length ? boundaries[i + 1].idx : lines.length;
+    segments.push({
+      header: boundary.header,
+      lines: lines.slice(boundary.idx, end),
+    });
+  });
+
+  return segments;
+};
+
+/**
+ * Split lines into numbered parts of at most maxChunkSize words
+ * @returns {Array<{header: string, lines: string[]}>}
+ */
+const splitBySize = (header, lines, maxChunkSize) => {
+  const parts = [];
+  let current = [];
+  let currentWords = 0;
+
+  for (const line of lines) {
+    const lineWords = countWords([line]);
+    if (currentWords + lineWords > maxChunkSize && current.length > 0) {
+      parts.push(current);
+      current = [];
+      currentWords = 0;
+    }
+    current.push(line);
+    currentWords += lineWords;
+  }
+  if (current.length > 0) parts.push(current);
+
+  return parts.map((partLines, idx) => ({
+    header: parts.length > 1 ? `${header} (part ${idx + 1})` : header,
+    lines: partLines,
+  }));
+};
+
+/**
+ * Shape pieces like ContentSplitter chunks
+ * Symbols are kept however short (a one-line function is still a definition
+ * worth finding); module-level leftovers follow the usual 50-char minimum.
+ */
+const toChunks = (pieces) =>
+  pieces
+    .map((piece) => ({
+      header: piece.header,
+      content: piece.lines.join('\n').trim(),
+      wordCount: countWords(piece.lines),
+    }))
+    .filter(
+      (chunk) =>
+        chunk.content.length > (chunk.header === MODULE_HEADER ? 50 : 0),
+    );
+
+/**
+ * CodeSplitter - Domain service for chunking source code on symbol boundaries
+ *
+ * Where ContentSplitter follows Markdown headings, this splits code at
+ * top-level functions, classes and types so a chunk never cuts through a
+ * definition. The symbol name becomes the chunk header.
+ */
+export class CodeSplitter {
+  /**
+   * Get every file extension with a known language
+   * @returns {string[]} e.g. ['.js', '.ts', '.py']
+   */
+  static getExtensions() {
+    return Object.values(LANGUAGES).flatMap((language) => language.extensions);
+  }
+
+  /**
+   * Detect a file's language from its extension
+   * @param {string} filePath - File path or name
+   * @returns {string|null} Language name, or null if it is not code
+   */
+  static languageFor(filePath) {
+    const lower = filePath.toLowerCase();
+    const entry = Object.entries(LANGUAGES).find(([, language]) =>
+      language.extensions.some((extension) => lower.endsWith(extension)),
+    );
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Split source code into chunks along symbol boundaries
+   *
+   * - Each top-level symbol (with its leading comments/decorators) is a chunk
+   * - Code before the first symbol (imports, constants) is a '(module)' chunk
+   * - Symbols over the size limit are split by member (`Class.method`), then
+   *   into numbered parts as a last resort
+   *
+   * @param {string} text - Source code
+   * @param {string} language - Language name from languageFor()
+   * @param {number} maxChunkSize - Maximum words per chunk (default: 1000)
+   * @returns {Array<{header: string, content: string, wordCount: number}>}
+   */
+  static smartChunk(text, language, maxChunkSize = 1000) {
+    if (!text || text.trim().length === 0) {
+      return [];
+    }
+
+    const definition = LANGUAGES[language];
+    const lines = text.split('\n');
+    if (!definition) {
+      return toChunks(splitBySize(MODULE_HEADER, lines, maxChunkSize));
+    }
+
+    const segments = segment(
+      lines,
+      definition.declarations,
+      (line) => indentOf(line) === 0,
+      MODULE_HEADER,
+    );
+
+    const pieces = segments.flatMap((declaration) => {
+      if (countWords(declaration.lines) <= maxChunkSize) {
+        return [declaration];
+      }
+
+      // Members sit at the indentation of the declaration's first body line,
+      // which keeps statements inside method bodies from matching.
+      const bodyLine = declaration.lines
+        .slice(1)
+        .find((line) => line.trim() && indentOf(line) > 0);
+      const memberIndent = bodyLine ? indentOf(bodyLine) : -1;
+
+      const members = segment(
+        declaration.lines,
+        definition.members,
+        (line) => indentOf(line) === memberIndent,
+        declaration.header,
+      ).map((member, idx) =>
+        idx === 0 && member.header === declaration.header
+          ? member
+          : { ...member, header: `${declaration.header}.${member.header}` },
+      );
+
+      // Keep the declaration line (and fields) with the first member when
+      // they fit, rather than as a fragment of their own
+      if (
+        members.length > 1 &&
+        members[0].header === declaration.header &&
+        countWords(members[0].lines) + countWords(members[1].lines) <=
+          maxChunkSize
+      ) {
+        const [head, first, ...rest] = members;
+        members.splice(
+          0,
+          members.length,
+          {
+            header: first.header,
+            lines: [...head.lines, ...first.lines],
+          },
+          ...rest,
+        );
+      }
+
+      return members.flatMap((member) =>
+        splitBySize(member.header, member.lines, maxChunkSize),
+      );
+    });
+
+    return toChunks(pieces);
+  }
+}
@@ -1,86 +1,336 @@
-export class ContentSplitter {
-  static smartChunk(text, maxChunkSize = 1000) {
-    if (!text || text.trim().length === 0) {
-      return [];
+import { Lexer } from 'marked';
+import YAML from 'yaml';
+
+const DEFAULT_HEADER = 'Introduction';
+// Chunks this short are too little to retrieve on their own
+const MIN_CHUNK_LENGTH = 50;
+
+// Written by loaders of paged formats (PDF) before each page's text
+const PAGE_MARKER = /^<!-- page (\d+) -->$/;
+// Blocks never cut in half, however large
+const ATOMIC_TOKENS = ['code', 'table'];
+
+/**
+ * Approximate the number of model tokens in a text
+ * Counts words and runs of punctuation, which tracks subword tokenizers
+ * closely enough for sizing chunks without loading one.
+ * @param {string} text
+ * @returns {number}
+ */
+const countTokens = (text) =>
+  (text.match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]+/gu) || []).length;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Split Markdown into its top-level blocks with marked's lexer
+ * Headings nested in lists or quotes, or inside fences, do not start a
+ * section, and fences and tables are single blocks.
+ * @returns {Array<{type: 'heading'|'code'|'table'|'paragraph'|'page', lines: string[], level?: number, text?: string, page?: number}>}
+ */
+const parseBlocks = (markdown) =>
+  Lexer.lex(markdown).flatMap((token) => {
+    const raw = token.raw.replace(/\n+$/, '');
+    if (token.type === 'space' || !raw.trim()) return [];
+
+    const pageMarker = token.type === 'html' && raw.trim().match(PAGE_MARKER);
+    if (pageMarker) {
+      return [{ type: 'page', page: Number(pageMarker[1]), lines: [] }];
     }
 
-    const chunks = [];
-    const lines = text.split('\n');
-    let currentHeader = 'Introduction';
-    let currentChunk = [];
-    let currentWordCount = 0;
-
-    function finalizeChunk() {
-      if (currentChunk.length === 0) return;
-
-      const content = currentChunk.join('\n').trim();
-      if (content.length > 50) {
-        chunks.push({
-          header: currentHeader,
-          content: content,
-          wordCount: currentWordCount,
-        });
+    const lines = raw.split('\n');
+    if (token.type === 'heading') {
+      return [
+        {
+          type: 'heading',
+          level: token.depth,
+          text: token.text.replace(/\s+/g, ' ').trim(),
+          lines,
+        },
+      ];
+    }
+    // Lists, quotes, HTML and the like are packed like paragraphs
+    return [
+      {
+        type: ATOMIC_TOKENS.includes(token.type) ? token.type : 'paragraph',
+        lines,
+      },
+    ];
+  });
+
+/**
+ * Break a block into pieces of at most maxTokens
+ * Headings, fences and tables stay whole even when larger than the limit;
+ * paragraphs are split by line, and single huge lines by word.
+ * @returns {Array<{text: string, tokens: number, atomic: boolean, heading?: boolean, separator: string}>}
+ */
+const toUnits = (block, maxTokens) => {
+  const text = block.lines.join('\n');
+  const atomic = block.type !== 'paragraph';
+  if (atomic || countTokens(text) <= maxTokens) {
+    return [
+      {
+        text,
+        tokens: countTokens(text),
+        atomic,
+        heading: block.type === 'heading',
+        separator: '\n\n',
+      },
+    ];
+  }
+
+  return block.lines.flatMap((line, lineIdx) => {
+    const separator = lineIdx === 0 ? '\n\n' : '\n';
+    if (countTokens(line) <= maxTokens) {
+      return [{ text: line, tokens: countTokens(line), atomic, separator }];
+    }
+
+    const pieces = [];
+    let words = [];
+    for (const word of line.split(/(?<=\s)/)) {
+      if (words.length > 0 && countTokens(words.join('') + word) > maxTokens) {
+        pieces.push(words.join('').trimEnd());
+        words = [];
       }
-      currentChunk = [];
-      currentWordCount = 0;
+      words.push(word);
     }
+    if (words.length > 0) pieces.push(words.join('').trimEnd());
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmedLine = line.trim();
-
-      // Detect headers (## or ###)
-      if (
-        trimmedLine.startsWith('## ') ||
-        trimmedLine.startsWith('### ') ||
-        trimmedLine.startsWith('#### ')
-      ) {
-        if (currentChunk.length > 0) {
-          finalizeChunk();
-        }
-        currentHeader =
-          trimmedLine.replace(/^#+\s*/, '').trim() || currentHeader;
-        currentChunk.push(line);
-        currentWordCount += line.split(/\s+/).length;
-      } else if (trimmedLine.startsWith('# ') && trimmedLine.length > 1) {
-        // Main header - reset completely
-        if (currentChunk.length > 0) {
-          finalizeChunk();
-        }
-        currentHeader = trimmedLine.substring(2).trim();
-        currentChunk = [line];
-        currentWordCount = line.split(/\s+/).length;
-      } else {
-        const lineWordCount = line.split(/\s+/).length;
+    return pieces.map((piece, pieceIdx) => ({
+      text: piece,
+      tokens: countTokens(piece),
+      atomic,
+      separator: pieceIdx === 0 ? separator : ' ',
+    }));
+  });
+};
 
-        // If adding this line exceeds the limit, finalize the current chunk
-        if (
-          currentWordCount + lineWordCount > maxChunkSize &&
-          currentChunk.length > 0
-        ) {
-          finalizeChunk();
-          // Continue with the same header
-          currentChunk.push(`(Continuation of: ${currentHeader})`);
-          currentWordCount += `(Continuation of: ${currentHeader})`.split(
-            /\s+/,
-          ).length;
-        }
+/**
+ * Take the tail of a chunk's units, up to overlapTokens, to repeat at the
+ * start of the next chunk. Fences, tables and headings end the overlap
+ * rather than being repeated partially.
+ */
+const overlapFrom = (units, overlapTokens) => {
+  const overlap = [];
+  let budget = overlapTokens;
 
-        currentChunk.push(line);
-        currentWordCount += lineWordCount;
+  for (let i = units.length - 1; i >= 0 && budget > 0; i--) {
+    const unit = units[i];
+    if (unit.tokens <= budget) {
+      overlap.unshift(unit);
+      budget -= unit.tokens;
+      continue;
+    }
+    if (!unit.atomic) {
+      const words = unit.text.split(/\s+/).filter(Boolean);
+      const tail = [];
+      while (words.length > 0) {
+        const candidate = [words[words.length - 1], ...tail].join(' ');
+        if (countTokens(candidate) > budget) break;
+        tail.unshift(words.pop());
+      }
+      if (tail.length > 0) {
+        const text = tail.join(' ');
+        overlap.unshift({ ...unit, text, tokens: countTokens(text) });
+      }
+    }
+    break;
+  }
 
-        // Force split every few lines to avoid giant chunks
-        if (currentWordCount > maxChunkSize * 1.5) {
-          finalizeChunk();
-        }
+  return overlap;
+};
+
+/**
+ * First and last page the units come from, or nulls for unpaged text
+ */
+const pageRange = (units) => {
+  const pages = units.map((unit) => unit.page).filter((page) => page != null);
+  return pages.length > 0
+    ? { pageStart: Math.min(...pages), pageEnd: Math.max(...pages) }
+    : { pageStart: null, pageEnd: null };
+};
+
+/**
+ * Pack a section's blocks into chunks of about maxTokens each
+ * @returns {Array<{content: string, pageStart: number|null, pageEnd: number|null}>}
+ */
+const packSection = (blocks, maxTokens, overlapTokens) => {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  // Units carried over from the previous chunk at the start of current
+  let overlapCount = 0;
+  // Only body text can end a chunk, so a heading stays with what follows it
+  let hasBody = false;
+
+  const join = (units) => ({
+    content: units
+      .map((unit, idx) => (idx === 0 ? unit.text : unit.separator + unit.text))
+      .join(''),
+    ...pageRange(units),
+  });
+  // A piece left too short (e.g. after a fence too large to overlap) is
+  // kept with its neighbour rather than dropped by smartChunk()
+  const isTooShort = (units) =>
+    join(units).content.trim().length <= MIN_CHUNK_LENGTH;
+
+  // Oversized paragraphs are cut small enough to fit after the overlap
+  const pieceTokens = Math.max(1, maxTokens - overlapTokens);
+  const units = blocks.flatMap((block) =>
+    toUnits(block, pieceTokens).map((unit) => ({ ...unit, page: block.page })),
+  );
+  for (const unit of units) {
+    if (
+      hasBody &&
+      currentTokens + unit.tokens > maxTokens &&
+      !isTooShort(current)
+    ) {
+      chunks.push(current);
+      current = overlapFrom(current, overlapTokens);
+      currentTokens = current.reduce((sum, u) => sum + u.tokens, 0);
+      if (currentTokens + unit.tokens > maxTokens) {
+        current = [];
+        currentTokens = 0;
       }
+      overlapCount = current.length;
+      hasBody = false;
+    }
+    current.push(unit);
+    currentTokens += unit.tokens;
+    hasBody = hasBody || !unit.heading;
+  }
+  if (chunks.length > 0 && isTooShort(current)) {
+    chunks[chunks.length - 1].push(...current.slice(overlapCount));
+  } else if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks.map(join);
+};
+
+/**
+ * ContentSplitter - Domain service for chunking Markdown on its structure
+ *
+ * The text is lexed into blocks (headings, code fences, tables, paragraphs,
+ * lists, ...) by marked, a CommonMark/GFM parser, and chunked per section, so chunks never straddle a heading and never cut
+ * through a fence or table. Loaders for other formats convert their headings
+ * to Markdown so they are chunked the same way.
+ */
+export class ContentSplitter {
+  /**
+   * Approximate token count used for chunk sizes
+   * @param {string} text
+   * @returns {number}
+   */
+  static countTokens(text) {
+    return countTokens(text);
+  }
+
+  /**
+   * Line a loader puts before each page of a paged document
+   * @param {number} page - 1-based page number
+   * @returns {string}
+   */
+  static pageMarker(page) {
+    return `<!-- page ${page} -->`;
+  }
+
+  /**
+   * Separate YAML front-matter ('---' fenced, at the very start) from the body
+   * @param {string} text - Markdown text
+   * @returns {{metadata: Object|null, body: string}} metadata is null without front-matter
+   */
+  static parseFrontMatter(text) {
+    const lines = (text || '').replace(/^\uFEFF/, '').split('\n');
+    if (lines[0]?.trim() !== '---') {
+      return { metadata: null, body: text || '' };
+    }
+
+    const end = lines.findIndex(
+      (line, idx) => idx > 0 && /^(---|\.\.\.)\s*$/.test(line),
+    );
+    if (end === -1) {
+      return { metadata: null, body: text };
+    }
+
+    let parsed = null;
+    try {
+      parsed = YAML.parse(lines.slice(1, end).join('\n'));
+    } catch (error) {
+      // Malformed front-matter is still front-matter, just without fields
     }
+    // Front-matter that is not a mapping carries no named fields
+    const metadata =
+      parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+        ? parsed
+        : {};
 
-    // Add the last chunk if it exists
-    if (currentChunk.length > 0) {
-      finalizeChunk();
+    return { metadata, body: lines.slice(end + 1).join('\n') };
+  }
+
+  /**
+   * Split Markdown into chunks along its heading structure
+   *
+   * - The header is the heading path, e.g. 'Guide > Install > Windows'
+   *   ('Introduction' before the first heading)
+   * - Sections over maxTokens are split between blocks, then between lines;
+   *   code fences and tables are kept whole even when larger
+   * - Consecutive chunks of a section share up to overlapTokens of text
+   * - YAML front-matter is skipped (see parseFrontMatter())
+   * - Page markers (see pageMarker()) are dropped from the text and give
+   *   each chunk the range of pages it spans
+   *
+   * @param {string} text - Markdown text
+   * @param {Object} options
+   * @param {number} options.maxTokens - Approximate tokens per chunk (default: 512)
+   * @param {number} options.overlapTokens - Tokens repeated between chunks (default: 64)
+   * @returns {Array<{header: string, content: string, wordCount: number, pageStart: number|null, pageEnd: number|null}>}
+   */
+  static smartChunk(text, { maxTokens = 512, overlapTokens = 64 } = {}) {
+    if (!text || text.trim().length === 0) {
+      return [];
+    }
+
+    const { body } = ContentSplitter.parseFrontMatter(text);
+    const sections = [{ header: DEFAULT_HEADER, blocks: [] }];
+    const headingPath = [];
+    let page = null;
+
+    for (const block of parseBlocks(body)) {
+      if (block.type === 'page') {
+        page = block.page;
+        continue;
+      }
+      block.page = page;
+
+      if (block.type === 'heading' && block.text) {
+        while (
+          headingPath.length > 0 &&
+          headingPath[headingPath.length - 1].level >= block.level
+        ) {
+          headingPath.pop();
+        }
+        headingPath.push(block);
+        sections.push({
+          header: headingPath.map((heading) => heading.text).join(' > '),
+          blocks: [block],
+        });
+      } else {
+        sections[sections.length - 1].blocks.push(block);
+      }
     }
 
-    return chunks;
+    return sections.flatMap((section) =>
+      packSection(section.blocks, maxTokens, overlapTokens)
+        .map((chunk) => ({ ...chunk, content: chunk.content.trim() }))
+        .filter((chunk) => chunk.content.length > MIN_CHUNK_LENGTH)
+        .map(({ content, pageStart, pageEnd }) => ({
+          header: section.header,
+          content,
+          wordCount: countWords(content),
+          pageStart,
+          pageEnd,
+        })),
+    );
   }
 }
@@ -0,0 +1,62 @@
+const formatDate = (timestamp) => (timestamp ? timestamp.slice(0, 10) : '');
+
+const byline = (author, timestamp) =>
+  `@${author || 'ghost'}${timestamp ? ` (${formatDate(timestamp)})` : ''}`;
+
+/**
+ * Render a thread as Markdown: a title heading, a facts line, the opening
+ * post and one second-level heading per comment, so chunks are cut at comment
+ * boundaries and carry the title in their breadcrumb
+ */
+const formatThread = (title, facts, body, comments) =>
+  [
+    `# ${title}`,
+    facts.filter(Boolean).join(' · '),
+    body.trim() || '_No description provided._',
+    ...comments.map(
+      (comment) =>
+        `## ${comment.isAnswer ? 'Answer' : 'Comment'} by ${byline(comment.author, comment.createdAt)}\n\n${comment.body.trim()}`,
+    ),
+  ].join('\n\n');
+
+/**
+ * GithubContentFormatter - Domain service turning GitHub issues and
+ * discussions into Markdown documents for chunking and search
+ */
+export class GithubContentFormatter {
+  /**
+   * @param {Object} issue - As returned by GithubService.getIssues
+   * @returns {string} Markdown
+   */
+  static formatIssue(issue) {
+    return formatThread(
+      `Issue #${issue.number}: ${issue.title}`,
+      [
+        `State: ${issue.state}`,
+        issue.labels.length > 0 && `Labels: ${issue.labels.join(', ')}`,
+        `Opened by ${byline(issue.author, issue.createdAt)}`,
+      ],
+      issue.body,
+      issue.comments,
+    );
+  }
+
+  /**
+   * @param {Object} discussion - As returned by GithubService.getDiscussions
+   * @returns {string} Markdown
+   */
+  static formatDiscussion(discussion) {
+    return formatThread(
+      `Discussion #${discussion.number}: ${discussion.title}`,
+      [
+        discussion.category && `Category: ${discussion.category}`,
+        `State: ${discussion.state}${discussion.answered ? ', answered' : ''}`,
+        discussion.labels.length > 0 &&
+          `Labels: ${discussion.labels.join(', ')}`,
+        `Started by ${byline(discussion.author, discussion.createdAt)}`,
+      ],
+      discussion.body,
+      discussion.comments,
+    );
+  }
+}
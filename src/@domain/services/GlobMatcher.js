@@ -0,0 +1,235 @@
+const REGEX_SPECIAL = /[.+^$()|\\]/;
+
+// Version control data and installed packages, skipped at any depth
+const DEFAULT_EXCLUDES = ['.git', 'node_modules'];
+
+// Dependency and build output directories, skipped at the root of a source
+// only: docs/build/ is often real content. An include pattern starting with
+// one of them (e.g. 'dist/**') brings it back.
+const DEFAULT_EXCLUDED_DIRS = [
+  'bower_components',
+  'vendor',
+  'dist',
+  'build',
+  'coverage',
+  '__pycache__',
+];
+
+/**
+ * Translate the body of a glob pattern to a regular expression source
+ * @param {string} glob - Pattern without anchoring or trailing slash
+ * @returns {string}
+ */
+const globToSource = (glob) => {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // '**/' matches zero or more directories, a bare '**' anything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = glob.slice(i + 1, end).replace(/^!/, '^');
+        source += `[${body.replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i + 1);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = glob
+          .slice(i + 1, end)
+          .split(',')
+          .map(globToSource);
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else if (REGEX_SPECIAL.test(char)) {
+      source += `\\${char}`;
+    } else {
+      source += char;
+    }
+  }
+
+  return source;
+};
+
+/**
+ * GlobMatcher - Domain service for matching relative paths against globs
+ *
+ * Follows .gitignore conventions, so the same rules serve include/exclude
+ * arguments and ignore files:
+ * - A pattern without a slash matches a file or directory name at any depth
+ * - A pattern with a slash is anchored to the root ('/docs' or 'docs/api')
+ * - Matching a directory also matches everything beneath it
+ * - '*', '?', '[abc]', '{a,b}' and '**' work as usual
+ */
+export class GlobMatcher {
+  /**
+   * Names that are always skipped, at any depth (.git, node_modules)
+   * @returns {string[]}
+   */
+  static getDefaultExcludes() {
+    return [...DEFAULT_EXCLUDES];
+  }
+
+  /**
+   * Root directory of build output or dependencies that hides a path by
+   * default, unless an include pattern starts with it
+   * @param {string} relativePath - '/'-separated path relative to the root
+   * @param {string[]} include - Include globs
+   * @returns {string|null} e.g. 'dist'
+   */
+  static getDefaultExcludedDir(relativePath, include = []) {
+    const [dir] = relativePath.split('/');
+    if (!DEFAULT_EXCLUDED_DIRS.includes(dir)) return null;
+
+    const included = include.some(
+      (pattern) => pattern.trim().replace(/^\//, '').split('/')[0] === dir,
+    );
+    return included ? null : dir;
+  }
+
+  /**
+   * Split a source's file list by the include/exclude globs and the default
+   * excludes. Files hidden by a default-excluded directory are returned
+   * apart, so they can be reported instead of vanishing silently.
+   *
+   * @param {Array<{path: string}>} files - '/'-separated paths from the root
+   * @param {Object} filters
+   * @param {string[]} filters.include - Globs a path must match (default: all)
+   * @param {string[]} filters.exclude - Globs a path must not match
+   * @returns {{included: Array, excludedByDefault: Array, excludedDirs: string[]}}
+   */
+  static filterFiles(files, { include = [], exclude = [] } = {}) {
+    const included = [];
+    const excludedByDefault = [];
+    const excludedDirs = new Set();
+
+    for (const file of files) {
+      if (
+        GlobMatcher.matchesAny(file.path, DEFAULT_EXCLUDES) ||
+        !GlobMatcher.isIncluded(file.path, { include, exclude })
+      ) {
+        continue;
+      }
+
+      const dir = GlobMatcher.getDefaultExcludedDir(file.path, include);
+      if (dir) {
+        excludedByDefault.push(file);
+        excludedDirs.add(dir);
+      } else {
+        included.push(file);
+      }
+    }
+
+    return { included, excludedByDefault, excludedDirs: [...excludedDirs] };
+  }
+
+  /**
+   * Compile a glob pattern
+   * @param {string} pattern - Glob pattern
+   * @param {string} base - Directory the pattern is relative to (default: root)
+   * @returns {RegExp} Matches relative, '/'-separated paths
+   */
+  static toRegExp(pattern, base = '') {
+    let glob = pattern.trim().replace(/\/+$/, '');
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\//, '');
+
+    const basePrefix = base
+      ? `${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/`
+      : '';
+    const prefix = `^${basePrefix}${anchored ? '' : '(?:.*/)?'}`;
+    return new RegExp(`${prefix}${globToSource(glob)}(?:/.*)?$`);
+  }
+
+  /**
+   * @param {string} relativePath - '/'-separated path relative to the root
+   * @param {string[]} patterns - Glob patterns
+   * @returns {boolean} Whether any pattern matches
+   */
+  static matchesAny(relativePath, patterns = []) {
+    return patterns.some((pattern) =>
+      GlobMatcher.toRegExp(pattern).test(relativePath),
+    );
+  }
+
+  /**
+   * Decide whether a path passes include/exclude filters
+   * An empty include list includes everything; exclude always wins.
+   *
+   * @param {string} relativePath - '/'-separated path relative to the root
+   * @param {Object} filters
+   * @param {string[]} filters.include - Globs a path must match (default: all)
+   * @param {string[]} filters.exclude - Globs a path must not match
+   * @returns {boolean}
+   */
+  static isIncluded(relativePath, { include = [], exclude = [] } = {}) {
+    if (include.length > 0 && !GlobMatcher.matchesAny(relativePath, include)) {
+      return false;
+    }
+    return !GlobMatcher.matchesAny(relativePath, exclude);
+  }
+
+  /**
+   * Parse a .gitignore-style file
+   * Rules from a nested ignore file only apply beneath its directory, so they
+   * can be concatenated with the rules of its parents.
+   *
+   * @param {string} content - File contents
+   * @param {string} base - Directory of the ignore file relative to the root
+   * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean}>}
+   */
+  static parseIgnoreFile(content, base = '') {
+    return content
+      .split(/\r?\n/)
+      .map((line) => line.trimEnd())
+      .filter((line) => line && !line.startsWith('#'))
+      .map((line) => {
+        const negate = line.startsWith('!');
+        const pattern = negate ? line.slice(1) : line.replace(/^\\/, '');
+        return {
+          regex: GlobMatcher.toRegExp(pattern, base),
+          negate,
+          dirOnly: pattern.endsWith('/'),
+        };
+      });
+  }
+
+  /**
+   * Apply ignore rules in order; the last matching rule wins
+   * @param {string} relativePath - '/'-separated path relative to the root
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @param {Array} rules - Rules from parseIgnoreFile()
+   * @returns {boolean} Whether the path is ignored
+   */
+  static isIgnored(relativePath, isDirectory, rules) {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.regex.test(relativePath)) {
+        ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  }
+}
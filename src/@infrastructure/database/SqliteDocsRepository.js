@@ -4,10 +4,139 @@ import path from 'path';
 import fs from 'fs';
 import os from 'os';
 import { IDocsRepository } from '../../@domain/repositories/IDocsRepository.js';
+import { Doc } from '../../@domain/entities/Doc.js';
+
+const GLOB_CHARS = /[*?[]/;
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/**
+ * Build a chunk id subquery restricting a search to docs matching the filters.
+ * Returns null when no filter is set so the search stays unrestricted.
+ * @param {Object} filters
+ * @param {string} [filters.sourceType] - 'github' | 'local' | 'github_issue' | 'github_discussion' | 'github_wiki' | 'git'
+ * @param {string} [filters.repoOwner]
+ * @param {string} [filters.repoName]
+ * @param {string} [filters.ref] - Branch, tag or commit the docs were indexed at
+ * @param {string} [filters.path] - Glob (if it contains *, ? or [) or path prefix
+ * @param {string[]} [filters.extensions] - File extensions, with or without dot
+ * @returns {{ sql: string, params: Array } | null}
+ */
+const buildChunkFilter = (filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.sourceType) {
+    conditions.push('d.source_type = ?');
+    params.push(filters.sourceType);
+  }
+  if (filters.repoOwner) {
+    conditions.push('d.repo_owner = ?');
+    params.push(filters.repoOwner);
+  }
+  if (filters.repoName) {
+    conditions.push('d.repo_name = ?');
+    params.push(filters.repoName);
+  }
+  if (filters.ref) {
+    conditions.push('d.ref = ?');
+    params.push(filters.ref);
+  }
+  if (filters.path) {
+    if (GLOB_CHARS.test(filters.path)) {
+      conditions.push('d.path GLOB ?');
+      params.push(filters.path);
+    } else {
+      conditions.push("d.path LIKE ? ESCAPE '\\'");
+      params.push(`${escapeLike(filters.path)}%`);
+    }
+  }
+  if (filters.extensions && filters.extensions.length > 0) {
+    conditions.push(
+      `(${filters.extensions.map(() => "d.path LIKE ? ESCAPE '\\'").join(' OR ')})`,
+    );
+    params.push(
+      ...filters.extensions.map(
+        (ext) => `%.${escapeLike(ext.replace(/^\./, ''))}`,
+      ),
+    );
+  }
+
+  if (conditions.length === 0) return null;
+
+  return {
+    sql: `SELECT c.id FROM chunks c JOIN docs d ON c.doc_id = d.id WHERE ${conditions.join(' AND ')}`,
+    params,
+  };
+};
+
+// Runs of letters and digits, the terms FTS5's default tokenizer indexes
+const FTS_TERM = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Turn free text into an FTS5 query matching any of its terms by prefix.
+ * Terms are quoted, so words like AND, NOT or NEAR are never read as operators.
+ * @param {string} text - Search text
+ * @returns {string|null} null when the text has no searchable terms
+ */
+const toFtsQuery = (text) => {
+  const terms = [...new Set(text.toLowerCase().match(FTS_TERM) || [])];
+  if (terms.length === 0) return null;
+  return terms.map((term) => `"${term}"*`).join(' OR ');
+};
+
+// Job fields that can be updated, mapped to their columns
+const JOB_COLUMNS = {
+  status: 'status',
+  processed: 'processed',
+  total: 'total',
+  errors: 'errors',
+  result: 'result',
+  error: 'error',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+};
+
+const JOB_JSON_FIELDS = ['errors', 'result'];
+
+const parseJobRow = (row) => ({
+  ...row,
+  params: JSON.parse(row.params || '{}'),
+  errors: JSON.parse(row.errors || '[]'),
+  result: row.result ? JSON.parse(row.result) : null,
+});
+
+// Kinds of doc a source can produce. SQLite cannot alter a CHECK constraint,
+// so adding one here rebuilds the docs table on startup (see migrate).
+const SOURCE_TYPES = [
+  'github',
+  'local',
+  'github_issue',
+  'github_discussion',
+  'github_wiki',
+  'git',
+];
+
+const docsTableSql = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_owner TEXT,
+    repo_name TEXT,
+    path TEXT,
+    ref TEXT NOT NULL DEFAULT '',
+    sha TEXT,
+    content TEXT,
+    indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    source_type TEXT CHECK(source_type IN (${SOURCE_TYPES.map((type) => `'${type}'`).join(', ')})) DEFAULT 'github',
+    embedding_signature TEXT,
+    metadata TEXT,
+    UNIQUE(repo_owner, repo_name, ref, path)
+  )`;
 
 export class SqliteDocsRepository extends IDocsRepository {
-  constructor(serverDir) {
+  constructor(serverDir, { embeddingDimensions = 768 } = {}) {
     super();
+    this.embeddingDimensions = embeddingDimensions;
     this.serverDir =
       serverDir || path.join(os.homedir(), '.mcp-knowledge-mind');
     this.dbPath = path.join(this.serverDir, 'docs.db');
@@ -28,17 +157,7 @@ export class SqliteDocsRepository extends IDocsRepository {
       PRAGMA cache_size = -2000;
 
       -- Layer A: Structured Data
-      CREATE TABLE IF NOT EXISTS docs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        repo_owner TEXT,
-        repo_name TEXT,
-        path TEXT,
-        sha TEXT,
-        content TEXT,
-        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        source_type TEXT CHECK(source_type IN ('github', 'local')) DEFAULT 'github',
-        UNIQUE(repo_owner, repo_name, path)
-      );
+      ${docsTableSql('docs')};
 
       CREATE TABLE IF NOT EXISTS chunks (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -46,12 +165,66 @@ export class SqliteDocsRepository extends IDocsRepository {
         header TEXT,
         content TEXT,
         word_count INTEGER,
+        page_start INTEGER,
+        page_end INTEGER,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY(doc_id) REFERENCES docs(id) ON DELETE CASCADE
       );
 
       CREATE INDEX IF NOT EXISTS idx_chunks_doc ON chunks(doc_id);
 
+      -- Which embedding model and dimension the index was built with
+      CREATE TABLE IF NOT EXISTS index_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      -- How each source was indexed, so it can be re-indexed later
+      CREATE TABLE IF NOT EXISTS sources (
+        repo_owner TEXT,
+        repo_name TEXT,
+        source_type TEXT,
+        options TEXT,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(repo_owner, repo_name)
+      );
+
+      -- Branches and tags indexed for each source, with the commit each was
+      -- last indexed at (NULL for refs indexed before commits were recorded)
+      CREATE TABLE IF NOT EXISTS source_refs (
+        repo_owner TEXT,
+        repo_name TEXT,
+        ref TEXT,
+        commit_sha TEXT,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(repo_owner, repo_name, ref)
+      );
+
+      -- Local folders kept in sync by a file watcher, resumed on startup
+      CREATE TABLE IF NOT EXISTS watched_directories (
+        directory_path TEXT PRIMARY KEY,
+        options TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Background indexing jobs and their progress
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT,
+        params TEXT,
+        status TEXT CHECK(status IN ('queued', 'running', 'completed', 'failed', 'cancelled')) DEFAULT 'queued',
+        processed INTEGER DEFAULT 0,
+        total INTEGER,
+        errors TEXT,
+        result TEXT,
+        error TEXT,
+        created_at TEXT,
+        started_at TEXT,
+        finished_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_created ON jobs(created_at);
+
       -- [NEW] Cache for query embeddings
       CREATE TABLE IF NOT EXISTS query_embeddings_cache (
         query_hash TEXT PRIMARY KEY,
@@ -88,19 +261,117 @@ export class SqliteDocsRepository extends IDocsRepository {
       -- Layer C: Semantic Index (Vector)
       CREATE VIRTUAL TABLE IF NOT EXISTS chunks_embeddings USING vec0(
         chunk_id INTEGER PRIMARY KEY,
-        embedding FLOAT[768]
+        embedding FLOAT[${this.embeddingDimensions}]
       );
     `);
+
+    this.migrate();
+  }
+
+  migrate() {
+    const docColumns = this.db
+      .prepare('PRAGMA table_info(docs)')
+      .all()
+      .map((column) => column.name);
+
+    // Docs indexed before signatures existed were embedded without task
+    // prefixes; a NULL signature marks them as stale.
+    if (!docColumns.includes('embedding_signature')) {
+      this.db.exec('ALTER TABLE docs ADD COLUMN embedding_signature TEXT');
+    }
+    if (!docColumns.includes('metadata')) {
+      this.db.exec('ALTER TABLE docs ADD COLUMN metadata TEXT');
+    }
+
+    const chunkColumns = this.db
+      .prepare('PRAGMA table_info(chunks)')
+      .all()
+      .map((column) => column.name);
+
+    if (!chunkColumns.includes('page_start')) {
+      this.db.exec('ALTER TABLE chunks ADD COLUMN page_start INTEGER');
+      this.db.exec('ALTER TABLE chunks ADD COLUMN page_end INTEGER');
+    }
+
+    const { sql: docsSql } = this.db
+      .prepare(
+        "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'docs'",
+      )
+      .get();
+    if (
+      !docColumns.includes('ref') ||
+      SOURCE_TYPES.some((type) => !docsSql.includes(`'${type}'`))
+    ) {
+      this.rebuildDocsTable();
+    }
+
+    // Repository docs indexed before refs were part of their identity belong
+    // to the branch (or git ref) their source recorded. Without a record the
+    // ref stays unknown (''), and the next run of learn_repository or
+    // learn_git claims the docs for the ref it indexes.
+    if (!docColumns.includes('ref')) {
+      this.db.exec(`
+        UPDATE docs SET ref = COALESCE(
+          (
+            SELECT json_extract(s.options, CASE docs.source_type WHEN 'git' THEN '$.ref' ELSE '$.branch' END)
+            FROM sources s
+            WHERE s.repo_owner = docs.repo_owner AND s.repo_name = docs.repo_name
+          ),
+          ''
+        )
+        WHERE source_type IN ('github', 'git');
+
+        INSERT OR IGNORE INTO source_refs (repo_owner, repo_name, ref, commit_sha, indexed_at)
+        SELECT d.repo_owner, d.repo_name, d.ref, json_extract(s.options, '$.commit'), COALESCE(s.indexed_at, MAX(d.indexed_at))
+        FROM docs d
+        LEFT JOIN sources s
+          ON s.repo_owner = d.repo_owner AND s.repo_name = d.repo_name
+        WHERE d.ref != ''
+        GROUP BY d.repo_owner, d.repo_name, d.ref;
+      `);
+    }
+  }
+
+  /**
+   * Recreate the docs table with the current schema, copying every row with
+   * its id so chunks keep pointing at their docs. Columns missing from the old
+   * table take their defaults.
+   */
+  rebuildDocsTable() {
+    const columns = this.db
+      .prepare('PRAGMA table_info(docs)')
+      .all()
+      .map((column) => column.name)
+      .join(', ');
+
+    // Dropping the old table would otherwise cascade to its chunks
+    const foreignKeys = this.db.pragma('foreign_keys', { simple: true });
+    this.db.pragma('foreign_keys = OFF');
+    try {
+      this.db.transaction(() => {
+        this.db.exec(docsTableSql('docs_rebuilt'));
+        this.db.exec(
+          `INSERT INTO docs_rebuilt (${columns}) SELECT ${columns} FROM docs`,
+        );
+        this.db.exec('DROP TABLE docs');
+        this.db.exec('ALTER TABLE docs_rebuilt RENAME TO docs');
+      })();
+    } finally {
+      this.db.pragma(`foreign_keys = ${foreignKeys}`);
+    }
   }
 
   async saveDoc(doc) {
     const stmt = this.db.prepare(`
-      INSERT INTO docs (repo_owner, repo_name, path, sha, content, source_type)
-      VALUES (?, ?, ?, ?, ?, ?)
-      ON CONFLICT(repo_owner, repo_name, path) DO UPDATE SET
+      INSERT INTO docs (repo_owner, repo_name, path, ref, sha, content, source_type, embedding_signature, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(repo_owner, repo_name, ref, path) DO UPDATE SET
         sha = excluded.sha,
         content = excluded.content,
-        source_type = excluded.source_type
+        source_type = excluded.source_type,
+        embedding_signature = excluded.embedding_signature,
+        metadata = excluded.metadata,
+        indexed_at = CURRENT_TIMESTAMP
       RETURNING id
     `);
 
@@ -108,13 +379,209 @@ export class SqliteDocsRepository extends IDocsRepository {
       doc.repoOwner,
       doc.repoName,
       doc.path,
+      doc.ref || '',
       doc.sha,
       doc.content,
       doc.sourceType,
+      doc.embeddingSignature || null,
+      doc.metadata ? JSON.stringify(doc.metadata) : null,
     );
     return result.id;
   }
 
+  /**
+   * @param {string|null} [ref] - Exact ref ('' for unversioned sources), or
+   *   null for the most recently indexed doc at that path on any ref
+   */
+  async findDoc(repoOwner, repoName, docPath, ref = null) {
+    const row = this.db
+      .prepare(
+        `
+      SELECT id, repo_owner, repo_name, path, ref, sha, source_type, embedding_signature, metadata, indexed_at
+      FROM docs
+      WHERE repo_owner = ? AND repo_name = ? AND path = ? AND (? IS NULL OR ref = ?)
+      ORDER BY indexed_at DESC, id DESC
+      LIMIT 1
+    `,
+      )
+      .get(repoOwner, repoName, docPath, ref, ref);
+
+    if (!row) return null;
+
+    return new Doc({
+      id: row.id,
+      repoOwner: row.repo_owner,
+      repoName: row.repo_name,
+      path: row.path,
+      ref: row.ref,
+      sha: row.sha,
+      sourceType: row.source_type,
+      embeddingSignature: row.embedding_signature,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null,
+      indexedAt: row.indexed_at,
+    });
+  }
+
+  async getDoc(id) {
+    const row = this.db
+      .prepare(
+        `
+      SELECT id, repo_owner, repo_name, path, ref, sha, content, source_type, embedding_signature, metadata, indexed_at
+      FROM docs
+      WHERE id = ?
+    `,
+      )
+      .get(id);
+
+    if (!row) return null;
+
+    return new Doc({
+      id: row.id,
+      repoOwner: row.repo_owner,
+      repoName: row.repo_name,
+      path: row.path,
+      ref: row.ref,
+      sha: row.sha,
+      content: row.content,
+      sourceType: row.source_type,
+      embeddingSignature: row.embedding_signature,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null,
+      indexedAt: row.indexed_at,
+    });
+  }
+
+  async listDocs(afterId = 0, limit = 100) {
+    return this.db
+      .prepare(
+        `
+      SELECT id, repo_owner, repo_name, path, ref, source_type, indexed_at
+      FROM docs
+      WHERE id > ?
+      ORDER BY id
+      LIMIT ?
+    `,
+      )
+      .all(afterId, limit)
+      .map(
+        (row) =>
+          new Doc({
+            id: row.id,
+            repoOwner: row.repo_owner,
+            repoName: row.repo_name,
+            path: row.path,
+            ref: row.ref,
+            sourceType: row.source_type,
+            indexedAt: row.indexed_at,
+          }),
+      );
+  }
+
+  async getChunkContext(chunkId, before, after) {
+    const chunk = this.db
+      .prepare(
+        `
+      SELECT c.id, c.doc_id, c.header, c.content, c.page_start, c.page_end, d.path, d.ref, d.repo_owner, d.repo_name, d.source_type
+      FROM chunks c
+      JOIN docs d ON c.doc_id = d.id
+      WHERE c.id = ?
+    `,
+      )
+      .get(chunkId);
+
+    if (!chunk) return null;
+
+    // Chunks of a doc are inserted in order, so ids follow document order
+    const previous = this.db
+      .prepare(
+        'SELECT id, header, content, page_start, page_end FROM chunks WHERE doc_id = ? AND id < ? ORDER BY id DESC LIMIT ?',
+      )
+      .all(chunk.doc_id, chunk.id, before)
+      .reverse();
+    const next = this.db
+      .prepare(
+        'SELECT id, header, content, page_start, page_end FROM chunks WHERE doc_id = ? AND id > ? ORDER BY id LIMIT ?',
+      )
+      .all(chunk.doc_id, chunk.id, after);
+
+    return { chunk, before: previous, after: next };
+  }
+
+  async getDocPaths(repoOwner, repoName, sourceTypes = null, ref = null) {
+    const rows = this.db
+      .prepare(
+        'SELECT path, source_type FROM docs WHERE repo_owner = ? AND repo_name = ? AND (? IS NULL OR ref = ?)',
+      )
+      .all(repoOwner, repoName, ref, ref);
+    return rows
+      .filter((row) => !sourceTypes || sourceTypes.includes(row.source_type))
+      .map((row) => row.path);
+  }
+
+  /**
+   * Assign docs whose ref is unknown ('', indexed before refs were recorded)
+   * to the ref their source is being indexed at. Where that ref already has
+   * a doc at the same path, the unknown copy is deleted instead.
+   * @param {string[]} sourceTypes - Doc types to claim, e.g. ['github']
+   * @returns {Promise<number>} Docs claimed
+   */
+  async claimDocsWithoutRef(repoOwner, repoName, sourceTypes, ref) {
+    const typePlaceholders = sourceTypes.map(() => '?').join(', ');
+    const claimed = this.db
+      .prepare(
+        `
+      UPDATE OR IGNORE docs SET ref = ?
+      WHERE repo_owner = ? AND repo_name = ? AND ref = '' AND source_type IN (${typePlaceholders})
+    `,
+      )
+      .run(ref, repoOwner, repoName, ...sourceTypes).changes;
+
+    const duplicatePaths = this.db
+      .prepare(
+        `SELECT path FROM docs WHERE repo_owner = ? AND repo_name = ? AND ref = '' AND source_type IN (${typePlaceholders})`,
+      )
+      .all(repoOwner, repoName, ...sourceTypes)
+      .map((row) => row.path);
+    if (duplicatePaths.length > 0) {
+      await this.deleteDocs(repoOwner, repoName, duplicatePaths, '');
+    }
+
+    return claimed;
+  }
+
+  async deleteDocs(repoOwner, repoName, paths, ref = null) {
+    const selectDocs = this.db.prepare(
+      'SELECT id FROM docs WHERE repo_owner = ? AND repo_name = ? AND path = ? AND (? IS NULL OR ref = ?)',
+    );
+    // vec0 tables are not covered by foreign keys, so embeddings and chunks
+    // are removed explicitly (the chunks_ad trigger keeps FTS in sync).
+    const deleteEmbeddings = this.db.prepare(
+      'DELETE FROM chunks_embeddings WHERE chunk_id IN (SELECT id FROM chunks WHERE doc_id = ?)',
+    );
+    const deleteChunks = this.db.prepare('DELETE FROM chunks WHERE doc_id = ?');
+    const deleteDoc = this.db.prepare('DELETE FROM docs WHERE id = ?');
+
+    const deleteDocsTx = this.db.transaction(() => {
+      let deleted = 0;
+      for (const docPath of paths) {
+        for (const row of selectDocs.all(
+          repoOwner,
+          repoName,
+          docPath,
+          ref,
+          ref,
+        )) {
+          deleteEmbeddings.run(row.id);
+          deleteChunks.run(row.id);
+          deleteDoc.run(row.id);
+          deleted++;
+        }
+      }
+      return deleted;
+    });
+
+    return deleteDocsTx();
+  }
+
   async saveChunks(docId, chunks) {
     const saveChunksTx = this.db.transaction(() => {
       this.db
@@ -125,8 +592,8 @@ export class SqliteDocsRepository extends IDocsRepository {
       this.db.prepare('DELETE FROM chunks WHERE doc_id = ?').run(docId);
 
       const insertChunk = this.db.prepare(`
-        INSERT INTO chunks (doc_id, header, content, word_count)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO chunks (doc_id, header, content, word_count, page_start, page_end)
+        VALUES (?, ?, ?, ?, ?, ?)
         RETURNING id
       `);
 
@@ -141,6 +608,8 @@ export class SqliteDocsRepository extends IDocsRepository {
           chunk.header,
           chunk.content,
           chunk.wordCount || 0,
+          chunk.pageStart ?? null,
+          chunk.pageEnd ?? null,
         );
         const chunkId = res.id;
 
@@ -153,6 +622,327 @@ export class SqliteDocsRepository extends IDocsRepository {
     saveChunksTx();
   }
 
+  async saveSource(source) {
+    this.db
+      .prepare(
+        `
+      INSERT INTO sources (repo_owner, repo_name, source_type, options)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(repo_owner, repo_name) DO UPDATE SET
+        source_type = excluded.source_type,
+        options = excluded.options,
+        indexed_at = CURRENT_TIMESTAMP
+    `,
+      )
+      .run(
+        source.repoOwner,
+        source.repoName,
+        source.sourceType,
+        JSON.stringify(source.options || {}),
+      );
+  }
+
+  async getSource(repoOwner, repoName) {
+    const row = this.db
+      .prepare(
+        `
+      SELECT repo_owner, repo_name, source_type, options, indexed_at
+      FROM sources
+      WHERE repo_owner = ? AND repo_name = ?
+    `,
+      )
+      .get(repoOwner, repoName);
+
+    if (!row) return null;
+    return { ...row, options: JSON.parse(row.options || '{}') };
+  }
+
+  async listSources() {
+    return this.db
+      .prepare(
+        `
+      SELECT
+        d.repo_owner,
+        d.repo_name,
+        COALESCE(s.source_type, MIN(d.source_type)) as source_type,
+        COUNT(DISTINCT d.id) as doc_count,
+        COUNT(c.id) as chunk_count,
+        COALESCE(s.indexed_at, MAX(d.indexed_at)) as last_indexed_at
+      FROM docs d
+      LEFT JOIN chunks c ON c.doc_id = d.id
+      LEFT JOIN sources s
+        ON s.repo_owner = d.repo_owner AND s.repo_name = d.repo_name
+      GROUP BY d.repo_owner, d.repo_name
+      ORDER BY d.repo_owner, d.repo_name
+    `,
+      )
+      .all();
+  }
+
+  async saveSourceRef({ repoOwner, repoName, ref, commit }) {
+    this.db
+      .prepare(
+        `
+      INSERT INTO source_refs (repo_owner, repo_name, ref, commit_sha)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(repo_owner, repo_name, ref) DO UPDATE SET
+        commit_sha = excluded.commit_sha,
+        indexed_at = CURRENT_TIMESTAMP
+    `,
+      )
+      .run(repoOwner, repoName, ref, commit || null);
+  }
+
+  async listSourceRefs(repoOwner = null, repoName = null) {
+    return this.db
+      .prepare(
+        `
+      SELECT
+        r.repo_owner,
+        r.repo_name,
+        r.ref,
+        r.commit_sha,
+        r.indexed_at,
+        COUNT(d.id) as doc_count
+      FROM source_refs r
+      LEFT JOIN docs d
+        ON d.repo_owner = r.repo_owner AND d.repo_name = r.repo_name AND d.ref = r.ref
+      WHERE (? IS NULL OR r.repo_owner = ?) AND (? IS NULL OR r.repo_name = ?)
+      GROUP BY r.repo_owner, r.repo_name, r.ref
+      ORDER BY r.repo_owner, r.repo_name, r.ref
+    `,
+      )
+      .all(repoOwner, repoOwner, repoName, repoName);
+  }
+
+  /**
+   * @param {string|null} [ref] - Only forget the docs indexed at this ref;
+   *   the source itself is kept
+   */
+  async deleteSource(repoOwner, repoName, ref = null) {
+    const deleteSourceTx = this.db.transaction(() => {
+      const docIds = `SELECT id FROM docs WHERE repo_owner = ? AND repo_name = ? AND (? IS NULL OR ref = ?)`;
+      const params = [repoOwner, repoName, ref, ref];
+
+      this.db
+        .prepare(
+          `DELETE FROM chunks_embeddings WHERE chunk_id IN (SELECT id FROM chunks WHERE doc_id IN (${docIds}))`,
+        )
+        .run(...params);
+      const chunks = this.db
+        .prepare(`DELETE FROM chunks WHERE doc_id IN (${docIds})`)
+        .run(...params).changes;
+      const docs = this.db
+        .prepare(`DELETE FROM docs WHERE id IN (${docIds})`)
+        .run(...params).changes;
+      this.db
+        .prepare(
+          'DELETE FROM source_refs WHERE repo_owner = ? AND repo_name = ? AND (? IS NULL OR ref = ?)',
+        )
+        .run(...params);
+      if (ref === null) {
+        this.db
+          .prepare('DELETE FROM sources WHERE repo_owner = ? AND repo_name = ?')
+          .run(repoOwner, repoName);
+      }
+
+      return { docs, chunks };
+    });
+
+    return deleteSourceTx();
+  }
+
+  async saveWatchedDirectory(directoryPath, options) {
+    this.db
+      .prepare(
+        `
+      INSERT INTO watched_directories (directory_path, options)
+      VALUES (?, ?)
+      ON CONFLICT(directory_path) DO UPDATE SET options = excluded.options
+    `,
+      )
+      .run(directoryPath, JSON.stringify(options || {}));
+  }
+
+  async listWatchedDirectories() {
+    return this.db
+      .prepare(
+        'SELECT directory_path, options, created_at FROM watched_directories ORDER BY directory_path',
+      )
+      .all()
+      .map((row) => ({ ...row, options: JSON.parse(row.options || '{}') }));
+  }
+
+  async deleteWatchedDirectory(directoryPath) {
+    return (
+      this.db
+        .prepare('DELETE FROM watched_directories WHERE directory_path = ?')
+        .run(directoryPath).changes > 0
+    );
+  }
+
+  async createJob({ id, type, params }) {
+    this.db
+      .prepare(
+        'INSERT INTO jobs (id, type, params, created_at) VALUES (?, ?, ?, ?)',
+      )
+      .run(id, type, JSON.stringify(params || {}), new Date().toISOString());
+  }
+
+  async updateJob(id, fields) {
+    const entries = Object.entries(fields).filter(
+      ([key, value]) => JOB_COLUMNS[key] && value !== undefined,
+    );
+    if (entries.length === 0) return;
+
+    this.db
+      .prepare(
+        `UPDATE jobs SET ${entries.map(([key]) => `${JOB_COLUMNS[key]} = ?`).join(', ')} WHERE id = ?`,
+      )
+      .run(
+        ...entries.map(([key, value]) =>
+          JOB_JSON_FIELDS.includes(key) ? JSON.stringify(value) : value,
+        ),
+        id,
+      );
+  }
+
+  async getJob(id) {
+    const row = this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+    return row ? parseJobRow(row) : null;
+  }
+
+  async listJobs(limit = 10) {
+    return this.db
+      .prepare('SELECT * FROM jobs ORDER BY created_at DESC LIMIT ?')
+      .all(limit)
+      .map(parseJobRow);
+  }
+
+  async failInterruptedJobs(message) {
+    return this.db
+      .prepare(
+        `
+      UPDATE jobs SET status = 'failed', error = ?, finished_at = ?
+      WHERE status IN ('queued', 'running')
+    `,
+      )
+      .run(message, new Date().toISOString()).changes;
+  }
+
+  async getEmbeddingIndex() {
+    const rows = this.db
+      .prepare(
+        "SELECT key, value FROM index_meta WHERE key IN ('embedding_model', 'embedding_dimensions')",
+      )
+      .all();
+    const meta = Object.fromEntries(rows.map((row) => [row.key, row.value]));
+
+    if (!meta.embedding_model) return null;
+    return {
+      model: meta.embedding_model,
+      dimensions: Number(meta.embedding_dimensions),
+    };
+  }
+
+  async registerEmbeddingIndex({ model, dimensions }) {
+    const upsert = this.db.prepare(`
+      INSERT INTO index_meta (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `);
+    this.db.transaction(() => {
+      upsert.run('embedding_model', model);
+      upsert.run('embedding_dimensions', String(dimensions));
+    })();
+  }
+
+  async resetEmbeddingIndex({ model, dimensions }) {
+    // vec0 fixes the vector size at creation, so a new dimension means a new
+    // table. Existing embeddings are dropped; chunks and docs are kept.
+    this.db.exec(`
+      DROP TABLE IF EXISTS chunks_embeddings;
+      CREATE VIRTUAL TABLE chunks_embeddings USING vec0(
+        chunk_id INTEGER PRIMARY KEY,
+        embedding FLOAT[${dimensions}]
+      );
+    `);
+    this.embeddingDimensions = dimensions;
+    await this.registerEmbeddingIndex({ model, dimensions });
+  }
+
+  async getIndexMeta(key) {
+    const row = this.db
+      .prepare('SELECT value FROM index_meta WHERE key = ?')
+      .get(key);
+    return row ? row.value : null;
+  }
+
+  async setIndexMeta(key, value) {
+    if (value === null || value === undefined) {
+      this.db.prepare('DELETE FROM index_meta WHERE key = ?').run(key);
+      return;
+    }
+    this.db
+      .prepare(
+        `
+      INSERT INTO index_meta (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `,
+      )
+      .run(key, String(value));
+  }
+
+  async countChunksWithoutEmbeddings() {
+    return this.db
+      .prepare(
+        `
+      SELECT COUNT(*) as count
+      FROM chunks c
+      WHERE NOT EXISTS (SELECT 1 FROM chunks_embeddings e WHERE e.chunk_id = c.id)
+    `,
+      )
+      .get().count;
+  }
+
+  async getChunksWithoutEmbeddings(afterId, limit) {
+    return this.db
+      .prepare(
+        `
+      SELECT c.id, c.doc_id, c.header, c.content
+      FROM chunks c
+      WHERE c.id > ?
+        AND NOT EXISTS (SELECT 1 FROM chunks_embeddings e WHERE e.chunk_id = c.id)
+      ORDER BY c.id
+      LIMIT ?
+    `,
+      )
+      .all(afterId, limit);
+  }
+
+  async saveEmbeddings(entries) {
+    const insertEmbedding = this.db.prepare(`
+      INSERT INTO chunks_embeddings (chunk_id, embedding)
+      VALUES (?, ?)
+    `);
+    this.db.transaction(() => {
+      for (const entry of entries) {
+        insertEmbedding.run(BigInt(entry.chunkId), entry.embedding);
+      }
+    })();
+  }
+
+  async markDocsEmbedded(embeddingSignature) {
+    this.db
+      .prepare('UPDATE docs SET embedding_signature = ?')
+      .run(embeddingSignature);
+  }
+
+  async invalidateCachedEmbeddings(keepModel) {
+    return this.db
+      .prepare('DELETE FROM query_embeddings_cache WHERE model IS NOT ?')
+      .run(keepModel).changes;
+  }
+
   async getCachedEmbedding(hash) {
     const cached = this.db
       .prepare(
@@ -229,7 +1019,7 @@ export class SqliteDocsRepository extends IDocsRepository {
       .run();
   }
 
-  async getStats() {
+  async getStats(embeddingSignature = null) {
     return this.db
       .prepare(
         `
@@ -237,60 +1027,120 @@ export class SqliteDocsRepository extends IDocsRepository {
         (SELECT COUNT(*) FROM docs) as total_docs,
         (SELECT COUNT(*) FROM docs WHERE source_type = 'github') as github_docs,
         (SELECT COUNT(*) FROM docs WHERE source_type = 'local') as local_docs,
+        (SELECT COUNT(*) FROM docs WHERE source_type = 'git') as git_docs,
+        (SELECT COUNT(*) FROM docs WHERE source_type IN ('github_issue', 'github_discussion', 'github_wiki')) as github_content_docs,
         (SELECT COUNT(*) FROM chunks) as total_chunks,
+        (SELECT COUNT(*) FROM docs WHERE embedding_signature IS NOT @signature) as stale_docs,
         (SELECT COUNT(*) FROM query_embeddings_cache) as cache_entries
     `,
       )
-      .get();
+      .get({ signature: embeddingSignature });
   }
 
-  async searchHybrid(query, queryEmbedding, limit) {
-    const sanitizedFtsQuery = `"${query.replace(/"/g, '""')}"`;
+  /**
+   * Rank chunks with Reciprocal Rank Fusion of a lexical (FTS5/BM25) and a
+   * semantic (vector) leg.
+   *
+   * @param {string} query - Search text
+   * @param {Float32Array|null} queryEmbedding - Query vector (unused in 'lexical' mode)
+   * @param {number} limit - Results to return
+   * @param {Object} filters - See buildChunkFilter()
+   * @param {Object} options
+   * @param {string} options.mode - 'hybrid', 'lexical' or 'semantic' (default: 'hybrid')
+   * @param {number} options.lexicalWeight - Multiplier for the lexical leg (default: 1)
+   * @param {number} options.semanticWeight - Multiplier for the semantic leg (default: 1)
+   * @param {number} options.rrfK - RRF constant; higher flattens rank differences (default: 60)
+   * @param {number} options.candidatePool - Candidates fetched per leg (default: limit * 2)
+   * @param {boolean} options.advanced - Pass the query to FTS5 as-is instead of
+   *   matching any of its terms by prefix (default: false)
+   */
+  async searchHybrid(
+    query,
+    queryEmbedding,
+    limit,
+    filters = {},
+    {
+      mode = 'hybrid',
+      lexicalWeight = 1,
+      semanticWeight = 1,
+      rrfK = 60,
+      candidatePool = limit * 2,
+      advanced = false,
+    } = {},
+  ) {
+    const ftsQuery = advanced ? query : toFtsQuery(query);
+    const pool = Math.max(candidatePool, limit);
 
-    const ftsResults = this.db
-      .prepare(
+    // Filters restrict both legs before ranking, so the candidate pools are
+    // drawn only from matching docs instead of being trimmed after the fact.
+    const chunkFilter = buildChunkFilter(filters);
+    const ftsFilterSql = chunkFilter ? `AND rowid IN (${chunkFilter.sql})` : '';
+    const vecFilterSql = chunkFilter
+      ? `AND chunk_id IN (${chunkFilter.sql})`
+      : '';
+    const filterParams = chunkFilter ? chunkFilter.params : [];
+
+    // Each leg is skipped entirely when the mode leaves it out
+    let ftsResults = [];
+    if (mode !== 'semantic' && ftsQuery) {
+      const ftsStatement = this.db.prepare(
         `
        SELECT
          rowid,
          bm25(chunks_fts) as bm25_score
        FROM chunks_fts
-       WHERE chunks_fts MATCH ?
+       WHERE chunks_fts MATCH ? ${ftsFilterSql}
        ORDER BY bm25_score ASC
        LIMIT ?
      `,
-      )
-      .all(sanitizedFtsQuery, limit * 2);
+      );
+      try {
+        ftsResults = ftsStatement.all(ftsQuery, ...filterParams, pool);
+      } catch (error) {
+        if (!advanced) throw error;
+        throw new Error(
+          `Invalid advanced query (${error.message}). Check quotes, parentheses and operators (AND, OR, NOT, NEAR, column:), or turn off advanced to search plain text.`,
+        );
+      }
+    }
 
-    const vecResults = this.db
-      .prepare(
-        `
+    let vecResults = [];
+    if (mode !== 'lexical') {
+      vecResults = this.db
+        .prepare(
+          `
        SELECT
          chunk_id,
          distance
        FROM chunks_embeddings
-       WHERE embedding MATCH ?
+       WHERE embedding MATCH ? ${vecFilterSql}
        ORDER BY distance
        LIMIT ?
      `,
-      )
-      .all(queryEmbedding, limit * 2);
+        )
+        .all(queryEmbedding, ...filterParams, pool);
+    }
 
     const scores = new Map();
-    const k = 60;
+    const bm25Ranks = new Map();
+    const vectorRanks = new Map();
+    const k = rrfK;
 
     ftsResults.forEach((result, rank) => {
       const id = Number(result.rowid);
       const positiveScore = -result.bm25_score;
       const bm25Weighted =
         (1 / (k + rank + 1)) * (1 + Math.log(1 + Math.max(0, positiveScore)));
-      scores.set(id, (scores.get(id) || 0) + bm25Weighted);
+      scores.set(id, (scores.get(id) || 0) + lexicalWeight * bm25Weighted);
+      bm25Ranks.set(id, rank + 1);
     });
 
     vecResults.forEach((result, rank) => {
       const id = Number(result.chunk_id);
       const similarity = 1 - result.distance;
       const vecWeighted = (1 / (k + rank + 1)) * similarity;
-      scores.set(id, (scores.get(id) || 0) + vecWeighted);
+      scores.set(id, (scores.get(id) || 0) + semanticWeight * vecWeighted);
+      vectorRanks.set(id, rank + 1);
     });
 
     const rankedIds = Array.from(scores.entries())
@@ -306,7 +1156,7 @@ export class SqliteDocsRepository extends IDocsRepository {
     const finalResults = this.db
       .prepare(
         `
-       SELECT c.id, c.header, c.content, d.path, d.repo_owner, d.repo_name, d.source_type
+       SELECT c.id, c.doc_id, c.header, c.content, c.page_start, c.page_end, d.path, d.ref, d.repo_owner, d.repo_name, d.source_type
        FROM chunks c
        JOIN docs d ON c.doc_id = d.id
        WHERE c.id IN (${placeholders})
@@ -314,11 +1164,17 @@ export class SqliteDocsRepository extends IDocsRepository {
       )
       .all(...rankedIds);
 
+    // Ranks are 1-based positions in each leg, null when a leg missed it
     return rankedIds
       .map((id) => {
         const r = finalResults.find((res) => Number(res.id) === id);
         if (!r) return null;
-        return r;
+        return {
+          ...r,
+          score: scores.get(id),
+          bm25_rank: bm25Ranks.get(id) ?? null,
+          vector_rank: vectorRanks.get(id) ?? null,
+        };
       })
       .filter(Boolean);
   }
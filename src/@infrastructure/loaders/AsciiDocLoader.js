@@ -0,0 +1,41 @@
+// Delimited blocks whose content must not be read as markup
+const VERBATIM_DELIMITER = /^(-{4,}|\.{4,}|\+{4,}|\/{4,})\s*$/;
+
+/**
+ * Loader for AsciiDoc
+ * Section titles (`== Title`) are rewritten as Markdown headings so
+ * ContentSplitter can use them as header context, and delimited blocks as
+ * code fences so they are never split or mistaken for headings.
+ */
+export class AsciiDocLoader {
+  constructor() {
+    this.extensions = ['.adoc', '.asciidoc'];
+  }
+
+  async load(buffer) {
+    const lines = buffer.toString('utf8').split(/\r?\n/);
+    let openDelimiter = null;
+
+    return lines
+      .map((line) => {
+        const delimiter = line.match(VERBATIM_DELIMITER);
+        if (delimiter) {
+          if (!openDelimiter) {
+            openDelimiter = delimiter[1];
+          } else if (delimiter[1] === openDelimiter) {
+            openDelimiter = null;
+          } else {
+            return line;
+          }
+          return '```';
+        }
+        if (openDelimiter) return line;
+
+        const heading = line.match(/^(={1,6})\s+(.+?)\s*$/);
+        if (!heading) return line;
+        const level = Math.min(heading[1].length, 4);
+        return `${'#'.repeat(level)} ${heading[2]}`;
+      })
+      .join('\n');
+  }
+}
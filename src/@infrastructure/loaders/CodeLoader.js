@@ -0,0 +1,16 @@
+import { CodeSplitter } from '../../@domain/services/CodeSplitter.js';
+
+/**
+ * Loader for source code in any language CodeSplitter understands
+ * Code is opt-in, so the registry only offers it when asked to.
+ */
+export class CodeLoader {
+  constructor() {
+    this.kind = 'code';
+    this.extensions = CodeSplitter.getExtensions();
+  }
+
+  async load(buffer) {
+    return buffer.toString('utf8');
+  }
+}
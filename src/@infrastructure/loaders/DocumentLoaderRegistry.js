@@ -0,0 +1,106 @@
+import path from 'path';
+import { MarkdownLoader } from './MarkdownLoader.js';
+import { PdfLoader } from './PdfLoader.js';
+import { TextLoader } from './TextLoader.js';
+import { RstLoader } from './RstLoader.js';
+import { AsciiDocLoader } from './AsciiDocLoader.js';
+import { HtmlLoader } from './HtmlLoader.js';
+import { NotebookLoader } from './NotebookLoader.js';
+import { CodeLoader } from './CodeLoader.js';
+
+/**
+ * DocumentLoaderRegistry - Maps file extensions to document loaders
+ *
+ * A loader is any object with an `extensions` array (e.g. ['.md']) and an
+ * async `load(buffer, filePath)` returning text. Loaders normalize their
+ * format to Markdown-style headings so ContentSplitter keeps header context.
+ * Loaders with `kind: 'code'` are only used when code is explicitly included.
+ * A loader whose output changes sets a higher `version` (default 1), so files
+ * it extracted before are re-indexed even when they are unchanged.
+ */
+export class DocumentLoaderRegistry {
+  constructor() {
+    this.loaders = new Map();
+  }
+
+  /**
+   * Create a registry with every built-in loader
+   * @returns {DocumentLoaderRegistry}
+   */
+  static createDefault() {
+    return new DocumentLoaderRegistry()
+      .register(new MarkdownLoader())
+      .register(new PdfLoader())
+      .register(new TextLoader())
+      .register(new RstLoader())
+      .register(new AsciiDocLoader())
+      .register(new HtmlLoader())
+      .register(new NotebookLoader())
+      .register(new CodeLoader());
+  }
+
+  /**
+   * Register a loader for its extensions, replacing any previous one
+   * @param {{ extensions: string[], load: Function }} loader
+   * @returns {DocumentLoaderRegistry} this, for chaining
+   */
+  register(loader) {
+    for (const extension of loader.extensions) {
+      this.loaders.set(extension.toLowerCase(), loader);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {Object|null} Loader for the file's extension
+   */
+  getLoader(filePath) {
+    return this.loaders.get(path.extname(filePath).toLowerCase()) || null;
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {number} Version of the loader for the file's extension
+   */
+  getVersion(filePath) {
+    return this.getLoader(filePath)?.version ?? 1;
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {boolean} options.includeCode - Accept source code files (default: false)
+   * @returns {boolean} Whether a loader handles this file
+   */
+  supports(filePath, { includeCode = false } = {}) {
+    const loader = this.getLoader(filePath);
+    return loader !== null && (includeCode || loader.kind !== 'code');
+  }
+
+  /**
+   * @param {Object} options
+   * @param {boolean} options.includeCode - Include source code extensions (default: false)
+   * @returns {string[]} Registered extensions
+   */
+  getExtensions({ includeCode = false } = {}) {
+    return [...this.loaders.entries()]
+      .filter(([, loader]) => includeCode || loader.kind !== 'code')
+      .map(([extension]) => extension);
+  }
+
+  /**
+   * Convert raw file contents to normalized text
+   * @param {string} filePath - Used to pick the loader
+   * @param {Buffer} buffer - Raw file contents
+   * @returns {Promise<string>}
+   */
+  async load(filePath, buffer) {
+    const loader = this.getLoader(filePath);
+    if (!loader) {
+      throw new Error(`No document loader registered for ${filePath}`);
+    }
+    const text = await loader.load(buffer, filePath);
+    return text.replace(/\r\n?/g, '\n');
+  }
+}
@@ -0,0 +1,63 @@
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+/**
+ * Loader for HTML pages
+ * Drops scripts, styles and markup, keeping text with <h1>-<h6> rewritten as
+ * Markdown headings so ContentSplitter can use them as header context.
+ */
+export class HtmlLoader {
+  constructor() {
+    this.extensions = ['.html', '.htm'];
+  }
+
+  async load(buffer) {
+    const html = buffer.toString('utf8');
+
+    const text = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(
+        /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+        (match, level, inner) => {
+          const title = inner
+            .replace(/<[^>]+>/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+          return `\n\n${'#'.repeat(Math.min(Number(level), 4))} ${title}\n\n`;
+        },
+      )
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(
+        /<\/?(p|div|section|article|main|header|footer|ul|ol|table|tr|pre|blockquote)\b[^>]*>/gi,
+        '\n',
+      )
+      .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+      .split('\n')
+      .map((line) => line.replace(/[ \t]+/g, ' ').trimEnd())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
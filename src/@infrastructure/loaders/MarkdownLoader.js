@@ -0,0 +1,12 @@
+/**
+ * Loader for Markdown and MDX, which ContentSplitter understands natively
+ */
+export class MarkdownLoader {
+  constructor() {
+    this.extensions = ['.md', '.mdx'];
+  }
+
+  async load(buffer) {
+    return buffer.toString('utf8');
+  }
+}
@@ -0,0 +1,34 @@
+const joinSource = (source) =>
+  Array.isArray(source) ? source.join('') : source || '';
+
+/**
+ * Loader for Jupyter notebooks
+ * Markdown cells are kept as-is and code cells become fenced code blocks;
+ * outputs are dropped.
+ */
+export class NotebookLoader {
+  constructor() {
+    this.extensions = ['.ipynb'];
+  }
+
+  async load(buffer) {
+    const notebook = JSON.parse(buffer.toString('utf8'));
+    const language =
+      notebook.metadata?.language_info?.name ||
+      notebook.metadata?.kernelspec?.language ||
+      '';
+
+    return (notebook.cells || [])
+      .map((cell) => {
+        const source = joinSource(cell.source).trimEnd();
+        if (!source) return null;
+        if (cell.cell_type === 'markdown') return source;
+        if (cell.cell_type === 'code') {
+          return `\`\`\`${language}\n${source}\n\`\`\``;
+        }
+        return source;
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+}
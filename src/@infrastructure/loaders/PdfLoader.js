@@ -0,0 +1,68 @@
+import { PDFParse } from 'pdf-parse';
+import { ContentSplitter } from '../../@domain/services/ContentSplitter.js';
+
+// Outline entries are looked for this many positions ahead, so one title
+// missing from the text layer does not hide all the following ones
+const OUTLINE_LOOKAHEAD = 3;
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Flatten the outline (bookmarks) into document order with heading levels
+ * @returns {Array<{title: string, level: number}>}
+ */
+const flattenOutline = (items = [], level = 1) =>
+  (items || []).flatMap((item) => [
+    { title: item.title.trim(), level: Math.min(level, 6) },
+    ...flattenOutline(item.items, level + 1),
+  ]);
+
+/**
+ * Loader for PDF files, extracting their text layer page by page
+ *
+ * Each page is preceded by a ContentSplitter page marker, so chunks know
+ * which pages they come from. Lines matching an outline (bookmark) title are
+ * rewritten as Markdown headings at the bookmark's depth.
+ */
+export class PdfLoader {
+  constructor() {
+    this.extensions = ['.pdf'];
+    // 2: page markers and outline headings
+    this.version = 2;
+  }
+
+  async load(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const { pages } = await parser.getText();
+      const { outline } = await parser.getInfo();
+      const headings = flattenOutline(outline).filter(
+        (heading) => heading.title,
+      );
+      let nextHeading = 0;
+
+      return pages
+        .map((page) => {
+          const lines = page.text.split('\n').map((line) => {
+            const candidates = headings.slice(
+              nextHeading,
+              nextHeading + OUTLINE_LOOKAHEAD,
+            );
+            const match = candidates.findIndex(
+              (heading) =>
+                line.trim() && normalize(heading.title) === normalize(line),
+            );
+            if (match === -1) return line;
+
+            const heading = candidates[match];
+            nextHeading += match + 1;
+            return `${'#'.repeat(heading.level)} ${heading.title}`;
+          });
+          return `${ContentSplitter.pageMarker(page.num)}\n${lines.join('\n')}`;
+        })
+        .join('\n\n');
+    } finally {
+      await parser.destroy();
+    }
+  }
+}
@@ -0,0 +1,63 @@
+// Characters reStructuredText allows for section adornments
+const ADORNMENT = /^([=\-`:'"~^_*+#<>.])\1+\s*$/;
+
+/**
+ * Loader for reStructuredText
+ *
+ * RST has no fixed heading levels: the first adornment style seen is level 1,
+ * the next new one level 2, and so on. Titles are rewritten as Markdown
+ * headings so ContentSplitter can use them as header context.
+ */
+export class RstLoader {
+  constructor() {
+    this.extensions = ['.rst'];
+  }
+
+  async load(buffer) {
+    const lines = buffer.toString('utf8').split(/\r?\n/);
+    const styles = [];
+    const output = [];
+
+    const headingFor = (style, title) => {
+      if (!styles.includes(style)) styles.push(style);
+      const level = Math.min(styles.indexOf(style) + 1, 4);
+      return `${'#'.repeat(level)} ${title}`;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const next = lines[i + 1];
+      const afterNext = lines[i + 2];
+
+      // Overlined title: adornment, title, adornment
+      if (
+        ADORNMENT.test(line) &&
+        next &&
+        next.trim() &&
+        afterNext &&
+        afterNext.trim() === line.trim()
+      ) {
+        output.push(headingFor(`over${line.trim()[0]}`, next.trim()));
+        i += 2;
+        continue;
+      }
+
+      // Underlined title: title, adornment at least as long
+      if (
+        line.trim() &&
+        !ADORNMENT.test(line) &&
+        next &&
+        ADORNMENT.test(next) &&
+        next.trim().length >= line.trim().length
+      ) {
+        output.push(headingFor(next.trim()[0], line.trim()));
+        i += 1;
+        continue;
+      }
+
+      output.push(line);
+    }
+
+    return output.join('\n');
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Loader for plain text files
+ */
+export class TextLoader {
+  constructor() {
+    this.extensions = ['.txt'];
+  }
+
+  async load(buffer) {
+    return buffer.toString('utf8');
+  }
+}
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+
+/**
+ * Task prefixes expected by each embedding model.
+ * Models trained with instruction prefixes produce noticeably worse retrieval
+ * when documents and queries are embedded the same way.
+ *
+ * `family` names the vector space: Ollama and transformers builds of the same
+ * weights share it, so their embeddings can live in one index.
+ */
+const NOMIC = {
+  family: 'nomic-embed-text-v1.5',
+  document: 'search_document: ',
+  query: 'search_query: ',
+};
+
+const MXBAI = {
+  family: 'mxbai-embed-large-v1',
+  document: '',
+  query: 'Represent this sentence for searching relevant passages: ',
+};
+
+const TEMPLATES = {
+  'nomic-embed-text': NOMIC,
+  'nomic-ai/nomic-embed-text-v1.5': NOMIC,
+  'mxbai-embed-large': MXBAI,
+  'mixedbread-ai/mxbai-embed-large-v1': MXBAI,
+};
+
+// Bumped whenever embeddings change for reasons other than the templates.
+// 1: Ollama embeddings are normalized (via /api/embed), like transformers'.
+const EMBEDDING_PIPELINE_VERSION = 1;
+
+const DEFAULT_TEMPLATE = { family: null, document: '', query: '' };
+
+/**
+ * EmbeddingTemplates - Per-model prefix templates shared by embedding services
+ */
+export class EmbeddingTemplates {
+  /**
+   * Get the prefix template for a model
+   * Ollama tags (e.g. 'nomic-embed-text:latest') resolve to the base model.
+   *
+   * @param {string} model - Model name
+   * @returns {{ document: string, query: string }}
+   */
+  static forModel(model) {
+    return (
+      TEMPLATES[model] || TEMPLATES[model.split(':')[0]] || DEFAULT_TEMPLATE
+    );
+  }
+
+  /**
+   * Get the vector space a model's embeddings belong to
+   * Unknown models are their own family.
+   *
+   * @param {string} model - Model name
+   * @returns {string}
+   */
+  static family(model) {
+    return EmbeddingTemplates.forModel(model).family || model;
+  }
+
+  /**
+   * Prefix text to be stored as a document
+   * @param {string} model - Model name
+   * @param {string} text - Raw document text
+   * @returns {string}
+   */
+  static document(model, text) {
+    return `${EmbeddingTemplates.forModel(model).document}${text}`;
+  }
+
+  /**
+   * Prefix text used as a search query
+   * @param {string} model - Model name
+   * @param {string} text - Raw query text
+   * @returns {string}
+   */
+  static query(model, text) {
+    return `${EmbeddingTemplates.forModel(model).query}${text}`;
+  }
+
+  /**
+   * Identify the model family, templates and pipeline version embeddings were
+   * produced with. Any change yields a different signature, which marks stored
+   * embeddings as stale.
+   *
+   * @param {string} model - Model name
+   * @returns {string} e.g. 'nomic-embed-text-v1.5@3f2a9c1e'
+   */
+  static signature(model) {
+    const template = EmbeddingTemplates.forModel(model);
+    const digest = crypto
+      .createHash('sha256')
+      .update(
+        `${EMBEDDING_PIPELINE_VERSION}\n${template.document}\n${template.query}`,
+      )
+      .digest('hex')
+      .substring(0, 8);
+    return `${EmbeddingTemplates.family(model)}@${digest}`;
+  }
+}
@@ -1,32 +1,116 @@
 import fs from 'fs';
 import path from 'path';
-import { PDFParse } from 'pdf-parse';
+import { DocumentLoaderRegistry } from '../loaders/DocumentLoaderRegistry.js';
+import { GlobMatcher } from '../../@domain/services/GlobMatcher.js';
+
+// Ignore files honoured in every directory, in .gitignore syntax
+const IGNORE_FILES = ['.gitignore', '.knowledgeignore'];
 
 export class FileSystemService {
-  constructor() {}
+  constructor(loaderRegistry = DocumentLoaderRegistry.createDefault()) {
+    this.loaderRegistry = loaderRegistry;
+  }
+
+  getSupportedExtensions() {
+    return this.loaderRegistry.getExtensions();
+  }
 
-  async getFilesRecursive(dir, maxDepth = 10) {
+  /**
+   * List supported files under a directory
+   *
+   * Skips .git and node_modules, anything matched by a .gitignore or
+   * .knowledgeignore along the way, and paths filtered out by the
+   * include/exclude globs (relative to `dir`). Files over `maxFileSize` bytes
+   * and build output directories at the root (dist/, build/, vendor/, ...)
+   * are reported as skipped instead of listed; a skipped directory's path
+   * ends with a separator. With `paths`, only the given files and
+   * directories are listed, reading just the directories leading to them.
+   *
+   * @param {string} dir - Root directory
+   * @param {number} maxDepth - Recursion depth (default: 10)
+   * @param {Object} options
+   * @param {string[]} options.include - Globs a file must match (default: all)
+   * @param {string[]} options.exclude - Globs to leave out
+   * @param {number} options.maxFileSize - Size limit in bytes (default: none)
+   * @param {string[]} [options.paths] - Paths under `dir` to restrict the
+   *   listing to (default: everything)
+   * @returns {Promise<{files: string[], skipped: Array<{path: string, size?: number, reason: string}>}>}
+   */
+  async getFilesRecursive(
+    dir,
+    maxDepth = 10,
+    { include = [], exclude = [], maxFileSize = Infinity, paths = null } = {},
+  ) {
     if (!fs.existsSync(dir)) {
       throw new Error(`Directory does not exist: ${dir}`);
     }
 
-    const getFiles = (currentDir, depth) => {
-      if (depth > maxDepth) return [];
-      let results = [];
+    const excludes = [...GlobMatcher.getDefaultExcludes(), ...exclude];
+    const files = [];
+    const skipped = [];
+    // Inside one of the paths, or a directory on the way to one
+    const isOnPaths = (filePath) =>
+      !paths ||
+      paths.some(
+        (only) =>
+          filePath === only ||
+          filePath.startsWith(path.join(only, path.sep)) ||
+          only.startsWith(path.join(filePath, path.sep)),
+      );
+
+    const readIgnoreRules = (currentDir, base) =>
+      IGNORE_FILES.flatMap((name) => {
+        const ignorePath = path.join(currentDir, name);
+        if (!fs.existsSync(ignorePath)) return [];
+        return GlobMatcher.parseIgnoreFile(
+          fs.readFileSync(ignorePath, 'utf-8'),
+          base,
+        );
+      });
+
+    const walk = (currentDir, depth, parentRules) => {
+      if (depth > maxDepth) return;
       try {
+        const base = path.relative(dir, currentDir).split(path.sep).join('/');
+        const rules = [...parentRules, ...readIgnoreRules(currentDir, base)];
         const list = fs.readdirSync(currentDir);
         list.forEach((file) => {
           const filePath = path.join(currentDir, file);
+          const relativePath = base ? `${base}/${file}` : file;
+          if (!isOnPaths(filePath)) return;
           try {
             const stat = fs.statSync(filePath);
-            if (stat && stat.isDirectory()) {
-              results = results.concat(getFiles(filePath, depth + 1));
+            const isDirectory = stat.isDirectory();
+            if (
+              GlobMatcher.matchesAny(relativePath, excludes) ||
+              GlobMatcher.isIgnored(relativePath, isDirectory, rules)
+            ) {
+              return;
+            }
+
+            if (
+              isDirectory &&
+              GlobMatcher.getDefaultExcludedDir(relativePath, include)
+            ) {
+              skipped.push({
+                path: `${filePath}${path.sep}`,
+                reason: 'excluded by default',
+              });
+            } else if (isDirectory) {
+              walk(filePath, depth + 1, rules);
             } else if (
-              file.endsWith('.md') ||
-              file.endsWith('.mdx') ||
-              file.endsWith('.pdf')
+              this.loaderRegistry.supports(file) &&
+              GlobMatcher.isIncluded(relativePath, { include })
             ) {
-              results.push(filePath);
+              if (stat.size > maxFileSize) {
+                skipped.push({
+                  path: filePath,
+                  size: stat.size,
+                  reason: 'too large',
+                });
+              } else {
+                files.push(filePath);
+              }
             }
           } catch (e) {
             // Include error handling or logging if needed, skipping for now
@@ -35,20 +119,14 @@ export class FileSystemService {
       } catch (e) {
         // Directory read error
       }
-      return results;
     };
 
-    return getFiles(dir, 0);
+    walk(dir, 0, []);
+    return { files, skipped };
   }
 
   async readFile(filePath) {
-    if (filePath.endsWith('.pdf')) {
-      const buffer = fs.readFileSync(filePath);
-      const parser = new PDFParse({ data: buffer });
-      const pdfData = await parser.getText();
-      return pdfData.text;
-    } else {
-      return fs.readFileSync(filePath, 'utf8');
-    }
+    const buffer = fs.readFileSync(filePath);
+    return this.loaderRegistry.load(filePath, buffer);
   }
 }
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * FileWatcherService - Watches directories and reports debounced changes
+ *
+ * Every change event inside a watched directory is collected until the
+ * directory has been quiet for `debounceMs`, then the touched paths are
+ * handed to the callback in one call. Calls for the same directory never
+ * overlap: a burst arriving while the previous one is still being handled
+ * waits for it to finish.
+ */
+export class FileWatcherService {
+  constructor() {
+    this.watchers = new Map();
+  }
+
+  /**
+   * Start watching a directory recursively (replaces an existing watcher)
+   * @param {string} directoryPath - Absolute directory path
+   * @param {Function} onChange - async (paths: string[]) => void, with absolute paths
+   * @param {Object} options
+   * @param {number} options.debounceMs - Quiet period before reporting (default: 1000)
+   * @param {Function} options.onError - Called with errors from the watcher or onChange
+   */
+  watch(
+    directoryPath,
+    onChange,
+    { debounceMs = 1000, onError = () => {} } = {},
+  ) {
+    this.unwatch(directoryPath);
+
+    const entry = {
+      pending: new Set(),
+      timer: null,
+      running: Promise.resolve(),
+      watcher: null,
+    };
+
+    const flush = () => {
+      entry.timer = null;
+      const paths = [...entry.pending];
+      entry.pending.clear();
+      entry.running = entry.running.then(() => onChange(paths)).catch(onError);
+    };
+
+    entry.watcher = fs.watch(
+      directoryPath,
+      { recursive: true },
+      (eventType, fileName) => {
+        if (!fileName) return;
+        entry.pending.add(path.join(directoryPath, fileName.toString()));
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(flush, debounceMs);
+      },
+    );
+    entry.watcher.on('error', onError);
+
+    this.watchers.set(directoryPath, entry);
+  }
+
+  /**
+   * Stop watching a directory; pending changes are dropped
+   * @param {string} directoryPath - Absolute directory path
+   * @returns {boolean} Whether the directory was being watched
+   */
+  unwatch(directoryPath) {
+    const entry = this.watchers.get(directoryPath);
+    if (!entry) return false;
+
+    clearTimeout(entry.timer);
+    entry.watcher.close();
+    this.watchers.delete(directoryPath);
+    return true;
+  }
+
+  /**
+   * @param {string} directoryPath - Absolute directory path
+   * @returns {boolean}
+   */
+  isWatching(directoryPath) {
+    return this.watchers.has(directoryPath);
+  }
+
+  /**
+   * @returns {string[]} Watched directory paths
+   */
+  getWatchedDirectories() {
+    return [...this.watchers.keys()];
+  }
+}
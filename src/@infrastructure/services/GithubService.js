@@ -1,19 +1,111 @@
 import { Octokit } from '@octokit/rest';
-import { PDFParse } from 'pdf-parse';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DocumentLoaderRegistry } from '../loaders/DocumentLoaderRegistry.js';
+import { GitService } from './GitService.js';
+
+// Discussions are only reachable through GraphQL. Replies to comments are
+// not fetched, and threads past 100 top-level comments are cut there.
+const DISCUSSIONS_QUERY = `
+  query ($owner: String!, $repo: String!, $after: String) {
+    repository(owner: $owner, name: $repo) {
+      discussions(first: 50, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          number
+          title
+          body
+          url
+          closed
+          createdAt
+          updatedAt
+          author {
+            login
+          }
+          category {
+            name
+          }
+          labels(first: 20) {
+            nodes {
+              name
+            }
+          }
+          answer {
+            id
+          }
+          comments(first: 100) {
+            nodes {
+              id
+              body
+              createdAt
+              author {
+                login
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Wiki pages starting with an underscore (_Sidebar, _Footer) are navigation
+const isWikiPage = (filePath) => !path.basename(filePath).startsWith('_');
 
 export class GithubService {
-  constructor(token) {
-    this.octokit = new Octokit({ auth: token });
+  /**
+   * @param {string} token - GitHub token, also used to clone private wikis
+   * @param {DocumentLoaderRegistry} loaderRegistry
+   * @param {Object} options
+   * @param {Octokit} [options.octokit] - Client to use instead of one built from the token
+   * @param {GitService} [options.gitService] - Clones and reads wikis
+   */
+  constructor(
+    token,
+    loaderRegistry = DocumentLoaderRegistry.createDefault(),
+    { octokit = null, gitService = null } = {},
+  ) {
+    this.token = token;
+    this.octokit = octokit || new Octokit({ auth: token });
+    this.loaderRegistry = loaderRegistry;
+    this.gitService = gitService || new GitService(os.tmpdir(), loaderRegistry);
   }
 
+  /**
+   * Resolve a branch, tag or SHA to its commit and list that commit's files
+   * @returns {Promise<{tree: Array<Object>, truncated: boolean, commit: string}>}
+   */
   async getTree(owner, repo, branch = 'main') {
+    // The sha media type returns just the commit SHA, without the diff
+    const { data: commit } = await this.octokit.repos.getCommit({
+      owner,
+      repo,
+      ref: branch,
+      mediaType: { format: 'sha' },
+    });
     const { data } = await this.octokit.git.getTree({
       owner,
       repo,
-      tree_sha: branch,
+      tree_sha: commit,
       recursive: true,
     });
-    return data.tree;
+    return { tree: data.tree, truncated: Boolean(data.truncated), commit };
+  }
+
+  isSupported(filePath, options = {}) {
+    return this.loaderRegistry.supports(filePath, options);
+  }
+
+  getSupportedExtensions(options = {}) {
+    return this.loaderRegistry.getExtensions(options);
+  }
+
+  getLoaderVersion(filePath) {
+    return this.loaderRegistry.getVersion(filePath);
   }
 
   async getFileContent(owner, repo, fileSha, filePath) {
@@ -23,13 +115,179 @@ export class GithubService {
       file_sha: fileSha,
     });
 
-    if (filePath.endsWith('.pdf')) {
-      const buffer = Buffer.from(blob.data.content, 'base64');
-      const parser = new PDFParse({ data: buffer });
-      const pdfData = await parser.getText();
-      return pdfData.text;
-    } else {
-      return Buffer.from(blob.data.content, 'base64').toString('utf8');
+    const buffer = Buffer.from(blob.data.content, 'base64');
+    return this.loaderRegistry.load(filePath, buffer);
+  }
+
+  /**
+   * Issues of a repository with their comments (pull requests are left out)
+   * @param {string} owner
+   * @param {string} repo
+   * @param {Object} options
+   * @param {string} [options.state] - 'open' | 'closed' | 'all'
+   * @param {Function} [options.isUnchanged] - async ({number, updatedAt,
+   *   comments}) => boolean. Issues it accepts are returned as
+   *   {number, unchanged: true} without fetching their comments, which
+   *   would otherwise cost a request per commented issue on every run.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getIssues(owner, repo, { state = 'all', isUnchanged = null } = {}) {
+    const issues = await this.octokit.paginate(
+      this.octokit.issues.listForRepo,
+      { owner, repo, state, per_page: 100 },
+    );
+
+    const result = [];
+    for (const issue of issues) {
+      // The issues endpoint also lists pull requests
+      if (issue.pull_request) continue;
+
+      // A new comment or any edit bumps updated_at
+      if (
+        await isUnchanged?.({
+          number: issue.number,
+          updatedAt: issue.updated_at,
+          comments: issue.comments,
+        })
+      ) {
+        result.push({ number: issue.number, unchanged: true });
+        continue;
+      }
+
+      const comments =
+        issue.comments > 0
+          ? await this.octokit.paginate(this.octokit.issues.listComments, {
+              owner,
+              repo,
+              issue_number: issue.number,
+              per_page: 100,
+            })
+          : [];
+
+      result.push({
+        number: issue.number,
+        title: issue.title,
+        body: issue.body || '',
+        state: issue.state,
+        labels: issue.labels.map((label) =>
+          typeof label === 'string' ? label : label.name,
+        ),
+        url: issue.html_url,
+        author: issue.user?.login || null,
+        createdAt: issue.created_at,
+        updatedAt: issue.updated_at,
+        comments: comments.map((comment) => ({
+          author: comment.user?.login || null,
+          body: comment.body || '',
+          createdAt: comment.created_at,
+        })),
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Discussions of a repository with their top-level comments
+   * @param {string} owner
+   * @param {string} repo
+   * @returns {Promise<Array<Object>>}
+   */
+  async getDiscussions(owner, repo) {
+    const result = [];
+    let after = null;
+
+    do {
+      const { repository } = await this.octokit.graphql(DISCUSSIONS_QUERY, {
+        owner,
+        repo,
+        after,
+      });
+      const { nodes, pageInfo } = repository.discussions;
+
+      for (const discussion of nodes) {
+        result.push({
+          number: discussion.number,
+          title: discussion.title,
+          body: discussion.body || '',
+          state: discussion.closed ? 'closed' : 'open',
+          category: discussion.category?.name || null,
+          labels: discussion.labels.nodes.map((label) => label.name),
+          answered: Boolean(discussion.answer),
+          url: discussion.url,
+          author: discussion.author?.login || null,
+          createdAt: discussion.createdAt,
+          updatedAt: discussion.updatedAt,
+          comments: discussion.comments.nodes.map((comment) => ({
+            author: comment.author?.login || null,
+            body: comment.body || '',
+            createdAt: comment.createdAt,
+            isAnswer: comment.id === discussion.answer?.id,
+          })),
+        });
+      }
+
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (after);
+
+    return result;
+  }
+
+  /**
+   * Pages of a repository's wiki. GitHub has no API for wikis, so the wiki's
+   * git repository is shallow-cloned into a temporary folder.
+   * @param {string} owner
+   * @param {string} repo
+   * @returns {Promise<Array<{path: string, name: string, sha: string, content: string, url: string}>>}
+   */
+  async getWikiPages(owner, repo) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'knowledge-wiki-'));
+    try {
+      await this.cloneWiki(owner, repo, dir);
+
+      const files = (await this.gitService.getTree(dir, 'HEAD')).filter(
+        (file) => isWikiPage(file.path) && this.isSupported(file.path),
+      );
+
+      const pages = [];
+      for (const file of files) {
+        const name = path.basename(file.path, path.extname(file.path));
+        pages.push({
+          path: file.path,
+          name,
+          sha: file.sha,
+          content: await this.gitService.getFileContent(
+            dir,
+            file.sha,
+            file.path,
+          ),
+          url: `https://github.com/${owner}/${repo}/wiki/${encodeURIComponent(name)}`,
+        });
+      }
+      return pages;
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  async cloneWiki(owner, repo, dir) {
+    // The token goes in a header rather than the URL, so git never echoes it
+    const config = this.token
+      ? {
+          'http.extraHeader': `Authorization: Basic ${Buffer.from(`x-access-token:${this.token}`).toString('base64')}`,
+        }
+      : {};
+
+    try {
+      await this.gitService.cloneShallow(
+        `https://github.com/${owner}/${repo}.wiki.git`,
+        dir,
+        { config },
+      );
+    } catch (error) {
+      throw new Error(
+        `Could not clone the wiki of ${owner}/${repo} (is it enabled and does it have pages?): ${error.message}`,
+      );
     }
   }
 }
@@ -1,10 +1,16 @@
 import { pipeline } from '@xenova/transformers';
 import { IEmbeddingService } from '../../@domain/repositories/IEmbeddingService.js';
+import { EmbeddingTemplates } from './EmbeddingTemplates.js';
 
 export class LocalEmbeddingService extends IEmbeddingService {
-  constructor(model = 'nomic-ai/nomic-embed-text-v1.5') {
+  constructor(
+    model = 'nomic-ai/nomic-embed-text-v1.5',
+    { batchSize = 32 } = {},
+  ) {
     super();
     this.model = model;
+    this.dimensions = null;
+    this.batchSize = batchSize;
     this.pipe = null;
   }
 
@@ -23,6 +29,60 @@ export class LocalEmbeddingService extends IEmbeddingService {
     return output.data; // Float32Array
   }
 
+  async embedBatch(texts) {
+    if (!this.pipe) {
+      await this.init();
+    }
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const output = await this.pipe(batch, {
+        pooling: 'mean',
+        normalize: true,
+      });
+
+      // Output is a [batch, dimensions] tensor backed by one flat array
+      const dimensions = output.dims[output.dims.length - 1];
+      for (let j = 0; j < batch.length; j++) {
+        embeddings.push(
+          output.data.slice(j * dimensions, (j + 1) * dimensions),
+        );
+      }
+    }
+
+    return embeddings;
+  }
+
+  async embedDocument(text) {
+    return this.embed(EmbeddingTemplates.document(this.model, text));
+  }
+
+  async embedDocuments(texts) {
+    return this.embedBatch(
+      texts.map((text) => EmbeddingTemplates.document(this.model, text)),
+    );
+  }
+
+  async embedQuery(text) {
+    return this.embed(EmbeddingTemplates.query(this.model, text));
+  }
+
+  getSignature() {
+    return EmbeddingTemplates.signature(this.model);
+  }
+
+  getModelFamily() {
+    return EmbeddingTemplates.family(this.model);
+  }
+
+  async getDimensions() {
+    if (!this.dimensions) {
+      this.dimensions = (await this.embedDocument('dimension probe')).length;
+    }
+    return this.dimensions;
+  }
+
   getModelName() {
     return this.model;
   }
@@ -0,0 +1,60 @@
+import {
+  AutoTokenizer,
+  AutoModelForSequenceClassification,
+} from '@xenova/transformers';
+import { IRerankerService } from '../../@domain/repositories/IRerankerService.js';
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+/**
+ * Cross-encoder reranker running locally through transformers.js
+ * The model reads each (query, text) pair and outputs one relevance logit.
+ */
+export class LocalRerankerService extends IRerankerService {
+  constructor(
+    model = 'Xenova/ms-marco-MiniLM-L-6-v2',
+    { batchSize = 16 } = {},
+  ) {
+    super();
+    this.model = model;
+    this.batchSize = batchSize;
+    this.tokenizer = null;
+    this.classifier = null;
+  }
+
+  async init() {
+    this.tokenizer = await AutoTokenizer.from_pretrained(this.model);
+    this.classifier = await AutoModelForSequenceClassification.from_pretrained(
+      this.model,
+    );
+  }
+
+  async rerank(query, texts) {
+    if (!this.classifier) {
+      await this.init();
+    }
+    const scores = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const inputs = this.tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true,
+      });
+      const { logits } = await this.classifier(inputs);
+
+      // Logits are a [batch, labels] tensor; the last label means "relevant"
+      const labels = logits.dims[logits.dims.length - 1];
+      for (let j = 0; j < batch.length; j++) {
+        scores.push(sigmoid(logits.data[j * labels + labels - 1]));
+      }
+    }
+
+    return scores;
+  }
+
+  getModelName() {
+    return this.model;
+  }
+}
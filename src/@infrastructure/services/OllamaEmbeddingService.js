@@ -1,11 +1,17 @@
 import ollama from 'ollama';
 import { IEmbeddingService } from '../../@domain/repositories/IEmbeddingService.js';
+import { EmbeddingTemplates } from './EmbeddingTemplates.js';
 
 export class OllamaEmbeddingService extends IEmbeddingService {
-  constructor(model = 'nomic-embed-text', maxChars = 8000) {
+  constructor(
+    model = 'nomic-embed-text',
+    { maxChars = 8000, batchSize = 32 } = {},
+  ) {
     super();
     this.model = model;
+    this.dimensions = null;
     this.maxChars = maxChars;
+    this.batchSize = batchSize;
   }
 
   async init() {
@@ -15,18 +21,65 @@ export class OllamaEmbeddingService extends IEmbeddingService {
   }
 
   async embed(text) {
-    const limitedText =
-      text.length > this.maxChars ? text.substring(0, this.maxChars) : text;
+    // Single texts go through /api/embed as well: it returns normalized
+    // vectors, unlike the legacy /api/embeddings endpoint.
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const input = texts
+        .slice(i, i + this.batchSize)
+        .map((text) =>
+          text.length > this.maxChars ? text.substring(0, this.maxChars) : text,
+        );
 
-    const response = await ollama.embeddings({
-      model: this.model,
-      prompt: limitedText,
-    });
+      const response = await ollama.embed({ model: this.model, input });
+
+      if (
+        !Array.isArray(response.embeddings) ||
+        response.embeddings.length !== input.length
+      ) {
+        throw new Error('Invalid embedding response from Ollama');
+      }
+      embeddings.push(
+        ...response.embeddings.map((embedding) => new Float32Array(embedding)),
+      );
+    }
+
+    return embeddings;
+  }
+
+  async embedDocument(text) {
+    return this.embed(EmbeddingTemplates.document(this.model, text));
+  }
+
+  async embedDocuments(texts) {
+    return this.embedBatch(
+      texts.map((text) => EmbeddingTemplates.document(this.model, text)),
+    );
+  }
+
+  async embedQuery(text) {
+    return this.embed(EmbeddingTemplates.query(this.model, text));
+  }
+
+  getSignature() {
+    return EmbeddingTemplates.signature(this.model);
+  }
+
+  getModelFamily() {
+    return EmbeddingTemplates.family(this.model);
+  }
 
-    if (!response.embedding || !Array.isArray(response.embedding)) {
-      throw new Error('Invalid embedding response from Ollama');
+  async getDimensions() {
+    if (!this.dimensions) {
+      this.dimensions = (await this.embedDocument('dimension probe')).length;
     }
-    return new Float32Array(response.embedding);
+    return this.dimensions;
   }
 
   getModelName() {
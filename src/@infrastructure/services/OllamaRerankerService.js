@@ -0,0 +1,69 @@
+import ollama from 'ollama';
+import { IRerankerService } from '../../@domain/repositories/IRerankerService.js';
+
+// Structured output keeps the model's answer to a single parseable number
+const SCORE_FORMAT = {
+  type: 'object',
+  properties: { score: { type: 'integer', minimum: 0, maximum: 10 } },
+  required: ['score'],
+};
+
+const buildPrompt = (query, text) =>
+  `Rate how well the passage answers the query, from 0 (unrelated) to 10 (fully answers it).
+
+Query: ${query}
+
+Passage:
+${text}`;
+
+/**
+ * Reranker that asks an Ollama model to grade each (query, text) pair
+ * Ollama has no cross-encoder endpoint, so any instruction-following model
+ * acts as the judge. Pairs are graded one at a time.
+ */
+export class OllamaRerankerService extends IRerankerService {
+  constructor(model, { maxChars = 4000 } = {}) {
+    super();
+    this.model = model;
+    this.maxChars = maxChars;
+  }
+
+  async init() {
+    // Check if ollama is available
+    await ollama.list();
+    return true;
+  }
+
+  async rerank(query, texts) {
+    const scores = [];
+
+    for (const text of texts) {
+      const response = await ollama.generate({
+        model: this.model,
+        prompt: buildPrompt(query, text.substring(0, this.maxChars)),
+        format: SCORE_FORMAT,
+        stream: false,
+        options: { temperature: 0 },
+      });
+
+      let score;
+      try {
+        score = Number(JSON.parse(response.response).score);
+      } catch {
+        score = NaN;
+      }
+      if (!Number.isFinite(score)) {
+        throw new Error(
+          `Invalid rerank response from Ollama (${this.model}): ${response.response}`,
+        );
+      }
+      scores.push(score / 10);
+    }
+
+    return scores;
+  }
+
+  getModelName() {
+    return this.model;
+  }
+}
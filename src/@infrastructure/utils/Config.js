@@ -0,0 +1,161 @@
+const EMBEDDING_PROVIDERS = ['auto', 'ollama', 'local'];
+
+const SEARCH_MODES = ['hybrid', 'lexical', 'semantic'];
+
+const RERANK_PROVIDERS = ['local', 'ollama'];
+
+/**
+ * Parse an optional positive integer setting
+ * @param {string} name - Environment variable name (for error messages)
+ * @param {string|undefined} value - Raw value
+ * @returns {number|null}
+ */
+const parsePositiveInt = (name, value) => {
+  if (value === undefined || value === '') return null;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
+  }
+  return parsed;
+};
+
+/**
+ * Parse an optional non-negative number setting
+ * @param {string} name - Environment variable name (for error messages)
+ * @param {string|undefined} value - Raw value
+ * @returns {number|null}
+ */
+const parseNonNegativeNumber = (name, value) => {
+  if (value === undefined || value === '') return null;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${value}"`);
+  }
+  return parsed;
+};
+
+/**
+ * Config utility for MCP server
+ * Reads server settings from environment variables, falling back to defaults
+ */
+export class Config {
+  /**
+   * Load configuration
+   *
+   * - KNOWLEDGE_MIND_EMBEDDING_PROVIDER: 'auto' (Ollama, else transformers), 'ollama' or 'local'
+   * - KNOWLEDGE_MIND_EMBEDDING_MODEL: Ollama model (default: nomic-embed-text)
+   * - KNOWLEDGE_MIND_LOCAL_EMBEDDING_MODEL: transformers model (default: nomic-ai/nomic-embed-text-v1.5)
+   * - KNOWLEDGE_MIND_EMBEDDING_DIMENSIONS: expected vector size (default: detected from the model)
+   * - KNOWLEDGE_MIND_EMBEDDING_BATCH_SIZE: texts per embedding request (default: 32)
+   * - KNOWLEDGE_MIND_SEARCH_MODE: default ask_knowledge mode, 'hybrid', 'lexical' or 'semantic' (default: hybrid)
+   * - KNOWLEDGE_MIND_SEARCH_LEXICAL_WEIGHT / KNOWLEDGE_MIND_SEARCH_SEMANTIC_WEIGHT: leg weights (default: 1)
+   * - KNOWLEDGE_MIND_SEARCH_RRF_K: Reciprocal Rank Fusion constant (default: 60)
+   * - KNOWLEDGE_MIND_SEARCH_CANDIDATE_POOL: candidates per leg (default: twice the limit)
+   * - KNOWLEDGE_MIND_CHUNK_TOKENS: approximate tokens per Markdown chunk (default: 512)
+   * - KNOWLEDGE_MIND_CHUNK_OVERLAP: tokens shared by consecutive chunks of a section (default: 64)
+   * - KNOWLEDGE_MIND_RERANK_PROVIDER: 'local' (transformers cross-encoder) or 'ollama' (default: local)
+   * - KNOWLEDGE_MIND_RERANK_MODEL: reranking model (default: Xenova/ms-marco-MiniLM-L-6-v2; required for ollama)
+   * - KNOWLEDGE_MIND_RERANK_DEPTH: fused candidates rescored when reranking (default: 20)
+   *
+   * @param {Object} env - Environment variables (default: process.env)
+   * @returns {Object} Configuration
+   */
+  static load(env = process.env) {
+    const provider = env.KNOWLEDGE_MIND_EMBEDDING_PROVIDER || 'auto';
+    if (!EMBEDDING_PROVIDERS.includes(provider)) {
+      throw new Error(
+        `KNOWLEDGE_MIND_EMBEDDING_PROVIDER must be one of ${EMBEDDING_PROVIDERS.join(', ')}, got "${provider}"`,
+      );
+    }
+
+    const searchMode = env.KNOWLEDGE_MIND_SEARCH_MODE || 'hybrid';
+    if (!SEARCH_MODES.includes(searchMode)) {
+      throw new Error(
+        `KNOWLEDGE_MIND_SEARCH_MODE must be one of ${SEARCH_MODES.join(', ')}, got "${searchMode}"`,
+      );
+    }
+
+    const rerankProvider = env.KNOWLEDGE_MIND_RERANK_PROVIDER || 'local';
+    if (!RERANK_PROVIDERS.includes(rerankProvider)) {
+      throw new Error(
+        `KNOWLEDGE_MIND_RERANK_PROVIDER must be one of ${RERANK_PROVIDERS.join(', ')}, got "${rerankProvider}"`,
+      );
+    }
+    if (rerankProvider === 'ollama' && !env.KNOWLEDGE_MIND_RERANK_MODEL) {
+      throw new Error(
+        'KNOWLEDGE_MIND_RERANK_MODEL is required when KNOWLEDGE_MIND_RERANK_PROVIDER is ollama',
+      );
+    }
+
+    const chunkTokens =
+      parsePositiveInt(
+        'KNOWLEDGE_MIND_CHUNK_TOKENS',
+        env.KNOWLEDGE_MIND_CHUNK_TOKENS,
+      ) || 512;
+    const chunkOverlap =
+      parseNonNegativeNumber(
+        'KNOWLEDGE_MIND_CHUNK_OVERLAP',
+        env.KNOWLEDGE_MIND_CHUNK_OVERLAP,
+      ) ?? 64;
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap >= chunkTokens) {
+      throw new Error(
+        `KNOWLEDGE_MIND_CHUNK_OVERLAP must be an integer below KNOWLEDGE_MIND_CHUNK_TOKENS (${chunkTokens}), got "${chunkOverlap}"`,
+      );
+    }
+
+    return {
+      embedding: {
+        provider,
+        model: env.KNOWLEDGE_MIND_EMBEDDING_MODEL || 'nomic-embed-text',
+        localModel:
+          env.KNOWLEDGE_MIND_LOCAL_EMBEDDING_MODEL ||
+          'nomic-ai/nomic-embed-text-v1.5',
+        dimensions: parsePositiveInt(
+          'KNOWLEDGE_MIND_EMBEDDING_DIMENSIONS',
+          env.KNOWLEDGE_MIND_EMBEDDING_DIMENSIONS,
+        ),
+        batchSize:
+          parsePositiveInt(
+            'KNOWLEDGE_MIND_EMBEDDING_BATCH_SIZE',
+            env.KNOWLEDGE_MIND_EMBEDDING_BATCH_SIZE,
+          ) || 32,
+      },
+      search: {
+        mode: searchMode,
+        lexicalWeight:
+          parseNonNegativeNumber(
+            'KNOWLEDGE_MIND_SEARCH_LEXICAL_WEIGHT',
+            env.KNOWLEDGE_MIND_SEARCH_LEXICAL_WEIGHT,
+          ) ?? 1,
+        semanticWeight:
+          parseNonNegativeNumber(
+            'KNOWLEDGE_MIND_SEARCH_SEMANTIC_WEIGHT',
+            env.KNOWLEDGE_MIND_SEARCH_SEMANTIC_WEIGHT,
+          ) ?? 1,
+        rrfK:
+          parsePositiveInt(
+            'KNOWLEDGE_MIND_SEARCH_RRF_K',
+            env.KNOWLEDGE_MIND_SEARCH_RRF_K,
+          ) || 60,
+        candidatePool: parsePositiveInt(
+          'KNOWLEDGE_MIND_SEARCH_CANDIDATE_POOL',
+          env.KNOWLEDGE_MIND_SEARCH_CANDIDATE_POOL,
+        ),
+      },
+      chunking: {
+        maxTokens: chunkTokens,
+        overlapTokens: chunkOverlap,
+      },
+      rerank: {
+        provider: rerankProvider,
+        model:
+          env.KNOWLEDGE_MIND_RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+        depth:
+          parsePositiveInt(
+            'KNOWLEDGE_MIND_RERANK_DEPTH',
+            env.KNOWLEDGE_MIND_RERANK_DEPTH,
+          ) || 20,
+      },
+    };
+  }
+}
@@ -0,0 +1,103 @@
+const URI_SCHEME = 'knowledge://';
+
+const URI_TEMPLATE = `${URI_SCHEME}{owner}/{repo}/{path}{?ref}`;
+
+const MIME_TYPES = {
+  '.md': 'text/markdown',
+  '.mdx': 'text/markdown',
+};
+
+const mimeTypeFor = (docPath) => {
+  const extension = docPath.slice(docPath.lastIndexOf('.')).toLowerCase();
+  return MIME_TYPES[extension] || 'text/plain';
+};
+
+export class ResourcesHandler {
+  constructor(useCases) {
+    this.useCases = useCases;
+  }
+
+  /**
+   * Resource URI of an indexed doc: knowledge://{owner}/{repo}/{path}, with
+   * ?ref={ref} for docs of a branch or tag. Each part is percent-encoded, so
+   * a path's slashes appear as %2F.
+   * @param {Object} doc - Anything with repoOwner/repoName/path/ref (or snake_case)
+   * @returns {string}
+   */
+  static uriFor(doc) {
+    const owner = doc.repoOwner ?? doc.repo_owner;
+    const repo = doc.repoName ?? doc.repo_name;
+    const query = doc.ref ? `?ref=${encodeURIComponent(doc.ref)}` : '';
+    return `${URI_SCHEME}${[owner, repo, doc.path].map(encodeURIComponent).join('/')}${query}`;
+  }
+
+  /**
+   * Parse a resource URI; the path may use encoded or literal slashes
+   * @param {string} uri
+   * @returns {{repo_owner: string, repo_name: string, path: string, ref: string|null}}
+   */
+  static parseUri(uri) {
+    const [location, query = ''] = uri.split('?');
+    const match = location.startsWith(URI_SCHEME)
+      ? location.slice(URI_SCHEME.length).match(/^([^/]+)\/([^/]+)\/(.+)$/)
+      : null;
+    if (!match) {
+      throw new Error(
+        `Invalid resource URI: ${uri} (expected ${URI_TEMPLATE})`,
+      );
+    }
+
+    const [, owner, repo, docPath] = match;
+    return {
+      repo_owner: decodeURIComponent(owner),
+      repo_name: decodeURIComponent(repo),
+      path: decodeURIComponent(docPath),
+      ref: new URLSearchParams(query).get('ref'),
+    };
+  }
+
+  getResourceTemplates() {
+    return [
+      {
+        uriTemplate: URI_TEMPLATE,
+        name: 'Indexed document',
+        description:
+          "Full content of an indexed doc. owner is the GitHub owner ('__local__' for local folders), repo the repository or folder name, path the doc path as shown by ask_knowledge and ref the branch or tag of repository docs indexed at several refs.",
+      },
+    ];
+  }
+
+  async listResources({ cursor } = {}) {
+    const { docs, nextCursor } = await this.useCases.listDocuments.execute({
+      cursor,
+    });
+
+    return {
+      resources: docs.map((doc) => ({
+        uri: ResourcesHandler.uriFor(doc),
+        name:
+          doc.sourceType === 'local'
+            ? doc.path
+            : `${doc.repoOwner}/${doc.repoName}${doc.ref ? `@${doc.ref}` : ''}/${doc.path}`,
+        mimeType: mimeTypeFor(doc.path),
+      })),
+      nextCursor,
+    };
+  }
+
+  async readResource(uri) {
+    const doc = await this.useCases.getDocument.execute(
+      ResourcesHandler.parseUri(uri),
+    );
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: mimeTypeFor(doc.path),
+          text: doc.content,
+        },
+      ],
+    };
+  }
+}
@@ -1,8 +1,271 @@
 import { Logger } from '../../@infrastructure/utils/Logger.js';
+import { ResourcesHandler } from './ResourcesHandler.js';
+
+const formatIndexingSummary = (result) => {
+  const lines = [
+    `- 🆕 New: ${result.newFiles}`,
+    `- 🔄 Updated: ${result.updatedFiles}`,
+    `- ⏭️ Unchanged: ${result.unchangedFiles}`,
+  ];
+
+  if (result.dryRun) {
+    lines.push(`- 🧪 Would prune (dry run): ${result.stalePaths.length}`);
+    lines.push(...result.stalePaths.map((p) => `  - ${p}`));
+  } else {
+    lines.push(`- 🗑️ Pruned: ${result.prunedDocs}`);
+  }
+
+  if (result.skippedFiles.length > 0) {
+    lines.push(`- 🚫 Skipped: ${result.skippedFiles.length}`);
+    lines.push(
+      ...result.skippedFiles.map(
+        (f) =>
+          `  - ${f.path} (${f.reason}${f.size == null ? '' : `, ${(f.size / 1024 / 1024).toFixed(1)} MB`})`,
+      ),
+    );
+  }
+
+  if (result.failedFiles.length > 0) {
+    lines.push(`- ❌ Failed: ${result.failedFiles.length}`);
+    lines.push(...result.failedFiles.map((f) => `  - ${f.path}: ${f.error}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Build an onProgress callback that sends MCP progress notifications for the
+ * current request, or null when the client sent no progressToken
+ * @param {Object} extra - Request handler extra from the MCP SDK
+ * @param {string} unit - What is being counted, e.g. 'files'
+ * @returns {Function|null} ({ processed, total }) => void
+ */
+const createProgressReporter = (extra, unit) => {
+  const progressToken = extra._meta?.progressToken;
+  if (progressToken === undefined || !extra.sendNotification) return null;
+
+  return ({ processed, total }) => {
+    extra
+      .sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress: processed,
+          total,
+          message: `${processed}/${total} ${unit}`,
+        },
+      })
+      .catch((error) =>
+        Logger.error(
+          `Progress notification failed: ${error?.message || error}`,
+        ),
+      );
+  };
+};
+
+const formatDuration = (seconds) =>
+  seconds >= 60
+    ? `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+    : `${seconds}s`;
+
+const JOB_ICONS = {
+  queued: '🕒',
+  running: '⏳',
+  completed: '✅',
+  failed: '❌',
+  cancelled: '🛑',
+};
+
+// What a job indexes, e.g. 'owner/repo' or a directory path
+const jobTarget = ({ type, params }) => {
+  if (type === 'learn_filesystem') {
+    return params.directoryPath;
+  }
+  if (type === 'reindex_source') {
+    return `${params.repo_owner}/${params.repo_name}`;
+  }
+  if (type === 'learn_git') {
+    return params.url;
+  }
+  return `${params.owner}/${params.repo}`;
+};
+
+const formatJob = (job) => {
+  const lines = [
+    `${JOB_ICONS[job.status]} **Job ${job.id}** (${job.type} ${jobTarget(job)}): ${job.status}`,
+  ];
+
+  if (job.total) {
+    lines.push(
+      `- Progress: ${job.processed}/${job.total} files (${Math.round((job.processed / job.total) * 100)}%)`,
+    );
+  }
+  if (job.elapsed_seconds !== null) {
+    lines.push(
+      `- Elapsed: ${formatDuration(job.elapsed_seconds)}${job.eta_seconds !== null ? `, ETA: ${formatDuration(job.eta_seconds)}` : ''}`,
+    );
+  }
+  if (job.error) {
+    lines.push(`- Error: ${job.error}`);
+  }
+  if (job.result) {
+    lines.push(
+      `- Indexed ${job.result.processedFiles}/${job.result.totalFiles} files into ${job.result.totalChunks} chunks`,
+      formatIndexingSummary(job.result),
+    );
+  } else if (job.errors.length > 0) {
+    lines.push(`- ❌ Failed: ${job.errors.length}`);
+    lines.push(...job.errors.map((f) => `  - ${f.path}: ${f.error}`));
+  }
+
+  return lines.join('\n');
+};
+
+// Page citation suffix for chunks of paged docs (PDF): ' p. 12' or ' p. 12–13'
+const formatPages = (pageStart, pageEnd) => {
+  if (pageStart == null) return '';
+  return pageEnd != null && pageEnd !== pageStart
+    ? ` p. ${pageStart}–${pageEnd}`
+    : ` p. ${pageStart}`;
+};
+
+// Ref suffix for docs of a branch or tag: '@v2', or '' for unversioned docs
+const formatRef = (ref) => (ref ? `@${ref}` : '');
+
+// Arguments shared by the tools that walk a source's files
+const FILE_FILTER_PROPERTIES = {
+  include: {
+    type: 'array',
+    items: { type: 'string' },
+    description:
+      "Only index files matching these globs, relative to the source root (e.g. ['docs/**', '*.md'])",
+  },
+  exclude: {
+    type: 'array',
+    items: { type: 'string' },
+    description:
+      "Skip files and folders matching these globs (e.g. ['CHANGELOG.md', 'docs/archive/']). node_modules and .git are always skipped, and build output at the root (dist/, build/, vendor/, coverage/) unless include names it, e.g. 'dist/**'.",
+  },
+  maxFileSizeMb: {
+    type: 'number',
+    description:
+      'Skip files larger than this many megabytes and report them (default: 20)',
+  },
+};
+
+// Shape of ask_knowledge's structuredContent
+const SEARCH_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          chunk_id: { type: 'integer' },
+          doc_id: { type: 'integer' },
+          header: { type: 'string' },
+          content: { type: 'string' },
+          path: { type: 'string' },
+          repo_owner: { type: 'string' },
+          repo_name: { type: 'string' },
+          ref: {
+            type: 'string',
+            description:
+              "Branch, tag or commit the doc was indexed at ('' for sources without refs)",
+          },
+          source_type: { type: 'string' },
+          uri: { type: 'string' },
+          score: {
+            type: 'number',
+            description: 'Fused RRF score (higher is better)',
+          },
+          bm25_rank: {
+            type: ['integer', 'null'],
+            description: 'Position in the lexical (BM25) results, if found',
+          },
+          vector_rank: {
+            type: ['integer', 'null'],
+            description: 'Position in the semantic (vector) results, if found',
+          },
+          page_start: {
+            type: ['integer', 'null'],
+            description: 'First page of the hit, for paged docs (PDF)',
+          },
+          page_end: {
+            type: ['integer', 'null'],
+            description: 'Last page of the hit, for paged docs (PDF)',
+          },
+          citation: {
+            type: 'string',
+            description:
+              "Source and pages to cite, e.g. 'docs/manual.pdf p. 12–13'",
+          },
+          rerank_score: {
+            type: ['number', 'null'],
+            description:
+              'Reranker relevance (higher is better), if the hit was reranked',
+          },
+        },
+        required: [
+          'chunk_id',
+          'doc_id',
+          'header',
+          'content',
+          'path',
+          'repo_owner',
+          'repo_name',
+          'ref',
+          'source_type',
+          'uri',
+          'score',
+          'bm25_rank',
+          'vector_rank',
+          'page_start',
+          'page_end',
+          'citation',
+        ],
+      },
+    },
+  },
+  required: ['query', 'results'],
+};
+
+// Indexing tools run as background jobs unless asked to wait
+const WAIT_PROPERTY = {
+  wait: {
+    type: 'boolean',
+    default: false,
+    description:
+      'Block until indexing finishes and return the summary, instead of returning a job id to poll with get_job_status',
+  },
+};
+
+const JOB_TOOLS = [
+  'learn_repository',
+  'learn_github_content',
+  'learn_git',
+  'learn_filesystem',
+  'reindex_source',
+];
+
+// Tools that embed or search vectors, unavailable while the embedding index
+// does not match the active model.
+const VECTOR_TOOLS = [
+  'learn_repository',
+  'learn_github_content',
+  'learn_git',
+  'learn_filesystem',
+  'ask_knowledge',
+  'reindex_source',
+  'watch_filesystem',
+];
 
 export class ToolsHandler {
-  constructor(useCases) {
+  constructor(useCases, { embeddingIndexError = null } = {}) {
     this.useCases = useCases;
+    this.embeddingIndexError = embeddingIndexError;
   }
 
   getToolDefinitions() {
@@ -16,7 +279,112 @@ export class ToolsHandler {
           properties: {
             owner: { type: 'string' },
             repo: { type: 'string' },
-            branch: { type: 'string', default: 'main' },
+            branch: {
+              type: 'string',
+              default: 'main',
+              description:
+                'Branch, tag or commit SHA to index. Each one is indexed side by side with the others, so several versions of the docs can be searched.',
+            },
+            includeCode: {
+              type: 'boolean',
+              default: false,
+              description:
+                'Also index source code (.js, .ts, .py, .go, .rs, .java, .rb, ...), chunked by function/class',
+            },
+            ...FILE_FILTER_PROPERTIES,
+            dryRun: {
+              type: 'boolean',
+              default: false,
+              description:
+                'List docs that would be pruned because they no longer exist in the source, without deleting them',
+            },
+            ...WAIT_PROPERTY,
+          },
+          required: ['owner', 'repo'],
+        },
+      },
+      {
+        name: 'learn_git',
+        description:
+          'Index docs from any git repository (GitLab, Gitea, a bare server, ...) or a local clone, read with the git CLI. Unchanged files are detected by blob SHA.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description:
+                "Local clone path, or file://, ssh (git@host:group/repo.git) or https remote. Remotes are mirrored under the server's data folder and fetched on every run.",
+            },
+            ref: {
+              type: 'string',
+              default: 'HEAD',
+              description: 'Branch, tag or commit SHA to index',
+            },
+            owner: {
+              type: 'string',
+              description:
+                'Owner to store the docs under (default: the host and group of the URL, e.g. gitlab.com/group, or local/<parent folders> for local clones). Must not be the owner/repo of a source of another kind.',
+            },
+            repo: {
+              type: 'string',
+              description:
+                'Repository name to store the docs under (default: the last segment of the URL, without .git)',
+            },
+            includeCode: {
+              type: 'boolean',
+              default: false,
+              description:
+                'Also index source code (.js, .ts, .py, .go, .rs, .java, .rb, ...), chunked by function/class',
+            },
+            ...FILE_FILTER_PROPERTIES,
+            dryRun: {
+              type: 'boolean',
+              default: false,
+              description:
+                'List docs that would be pruned because they no longer exist at this commit, without deleting them',
+            },
+            ...WAIT_PROPERTY,
+          },
+          required: ['url'],
+        },
+      },
+      {
+        name: 'learn_github_content',
+        description:
+          "Index a GitHub repo's issues (with comments), discussions and wiki pages, searchable alongside its docs.",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            owner: { type: 'string' },
+            repo: { type: 'string' },
+            issues: {
+              type: 'boolean',
+              default: true,
+              description: 'Index issues and their comments',
+            },
+            discussions: {
+              type: 'boolean',
+              default: true,
+              description: 'Index discussions and their comments',
+            },
+            wiki: {
+              type: 'boolean',
+              default: true,
+              description: 'Index wiki pages (cloned with git)',
+            },
+            state: {
+              type: 'string',
+              enum: ['open', 'closed', 'all'],
+              default: 'all',
+              description: 'Which issues to index',
+            },
+            dryRun: {
+              type: 'boolean',
+              default: false,
+              description:
+                'List items that would be pruned because they no longer exist on GitHub, without deleting them',
+            },
+            ...WAIT_PROPERTY,
           },
           required: ['owner', 'repo'],
         },
@@ -33,9 +401,142 @@ export class ToolsHandler {
               type: 'number',
               description: 'Number of results to return (default: 10)',
             },
+            source_type: {
+              type: 'string',
+              enum: [
+                'github',
+                'local',
+                'github_issue',
+                'github_discussion',
+                'github_wiki',
+                'git',
+              ],
+              description: 'Only search docs from this kind of source',
+            },
+            repo_owner: {
+              type: 'string',
+              description:
+                "Only search docs from this owner ('__local__' for local folders)",
+            },
+            repo_name: {
+              type: 'string',
+              description: 'Only search docs from this repository or folder',
+            },
+            ref: {
+              type: 'string',
+              description:
+                "Only search docs indexed at this branch, tag or commit (e.g. 'v2'), as listed by list_sources",
+            },
+            path: {
+              type: 'string',
+              description:
+                "Path prefix (e.g. 'docs/guides/') or glob (e.g. 'docs/**/*.md') to search within",
+            },
+            extension: {
+              oneOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } },
+              ],
+              description:
+                "File extension(s) to search, e.g. 'md' or ['md', 'pdf']",
+            },
+            mode: {
+              type: 'string',
+              enum: ['hybrid', 'lexical', 'semantic'],
+              description:
+                "'hybrid' fuses keyword and vector search; 'lexical' or 'semantic' runs only one of them (default: server setting, usually hybrid)",
+            },
+            lexicalWeight: {
+              type: 'number',
+              description:
+                'Weight of the keyword (BM25) ranking in the fused score (default: server setting, usually 1)',
+            },
+            semanticWeight: {
+              type: 'number',
+              description:
+                'Weight of the vector ranking in the fused score (default: server setting, usually 1)',
+            },
+            rrfK: {
+              type: 'number',
+              description:
+                'Reciprocal Rank Fusion constant; higher values flatten the gap between top and lower ranks (default: server setting, usually 60)',
+            },
+            candidatePool: {
+              type: 'number',
+              description:
+                'Candidates fetched from each search before fusion (default: server setting, usually twice the limit)',
+            },
+            advanced: {
+              type: 'boolean',
+              default: false,
+              description:
+                'Use the query as raw FTS5 syntax for the keyword search: AND/OR/NOT, NEAR(a b), "exact phrases", prefix* and column filters (header: or content:). By default any query term matches, by prefix.',
+            },
+            rerank: {
+              type: 'boolean',
+              default: false,
+              description:
+                'Rescore the top fused candidates with a cross-encoder reranker before returning them. Slower, but more precise for nuanced questions.',
+            },
+            rerankDepth: {
+              type: 'number',
+              description:
+                'Number of fused candidates to rerank (default: server setting, usually 20)',
+            },
+            format: {
+              type: 'string',
+              enum: ['markdown', 'json'],
+              default: 'markdown',
+              description:
+                "'json' returns the hits (full content, ids, scores and ranks) as JSON text instead of a Markdown list; structuredContent is always included",
+            },
           },
           required: ['query'],
         },
+        outputSchema: SEARCH_OUTPUT_SCHEMA,
+      },
+      {
+        name: 'get_document',
+        description:
+          'Get the full content of an indexed doc, by doc id (from ask_knowledge) or by source and path.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            doc_id: { type: 'number' },
+            repo_owner: {
+              type: 'string',
+              description:
+                "Repository owner ('__local__' for local folders), used with repo_name and path",
+            },
+            repo_name: { type: 'string' },
+            path: {
+              type: 'string',
+              description: 'Doc path as shown by ask_knowledge',
+            },
+            ref: {
+              type: 'string',
+              description:
+                'Branch, tag or commit of the doc, used with path (default: the most recently indexed one)',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_chunk_context',
+        description:
+          'Expand a search hit: get a chunk (by chunk id from ask_knowledge) with the chunks before and after it in the same doc.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            chunk_id: { type: 'number' },
+            neighbors: {
+              type: 'number',
+              description:
+                'Chunks to include before and after the hit (default: 2, max: 20)',
+            },
+          },
+          required: ['chunk_id'],
+        },
       },
       {
         name: 'get_status',
@@ -49,7 +550,7 @@ export class ToolsHandler {
       {
         name: 'learn_filesystem',
         description:
-          'Index all Markdown files in a local directory recursively.',
+          'Index all supported documents (Markdown, PDF, reStructuredText, AsciiDoc, plain text, HTML, Jupyter notebooks) in a local directory recursively, honouring .gitignore and .knowledgeignore files.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -61,34 +562,247 @@ export class ToolsHandler {
               type: 'number',
               description: 'Recursion depth (default: 10)',
             },
+            ...FILE_FILTER_PROPERTIES,
+            dryRun: {
+              type: 'boolean',
+              default: false,
+              description:
+                'List docs that would be pruned because they no longer exist in the source, without deleting them',
+            },
+            ...WAIT_PROPERTY,
           },
           required: ['directoryPath'],
         },
       },
+      {
+        name: 'watch_filesystem',
+        description:
+          'Index a local directory like learn_filesystem, then keep watching it: changed files are re-indexed and removed files forgotten automatically. Watching resumes when the server restarts.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            directoryPath: {
+              type: 'string',
+              description: 'Absolute path to the local directory',
+            },
+            maxDepth: {
+              type: 'number',
+              description: 'Recursion depth (default: 10)',
+            },
+            ...FILE_FILTER_PROPERTIES,
+            debounceMs: {
+              type: 'number',
+              description:
+                'Wait this long after the last change before re-indexing (default: 1000)',
+            },
+          },
+          required: ['directoryPath'],
+        },
+      },
+      {
+        name: 'unwatch_filesystem',
+        description:
+          'Stop watching a local directory. Its docs stay indexed (use forget_source to remove them).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            directoryPath: {
+              type: 'string',
+              description: 'Directory path as passed to watch_filesystem',
+            },
+          },
+          required: ['directoryPath'],
+        },
+      },
+      {
+        name: 'list_sources',
+        description:
+          'List indexed sources (GitHub repos and local folders) with doc and chunk counts and when they were last indexed, and for repositories the branches and tags indexed with the commit each was indexed at.',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'forget_source',
+        description:
+          'Remove a source and all of its docs, chunks, full-text rows and embeddings from the knowledge base.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            repo_owner: {
+              type: 'string',
+              description:
+                "Repository owner as shown by list_sources ('__local__' for local folders)",
+            },
+            repo_name: { type: 'string' },
+            ref: {
+              type: 'string',
+              description:
+                'Only forget the docs of this branch or tag, keeping the others',
+            },
+          },
+          required: ['repo_owner', 'repo_name'],
+        },
+      },
+      {
+        name: 'reindex_source',
+        description:
+          'Re-run indexing for a known source with the options it was originally indexed with.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            repo_owner: {
+              type: 'string',
+              description:
+                "Repository owner as shown by list_sources ('__local__' for local folders)",
+            },
+            repo_name: { type: 'string' },
+            ref: {
+              type: 'string',
+              description:
+                'Only re-index this branch or tag (default: every indexed one)',
+            },
+            force: {
+              type: 'boolean',
+              default: false,
+              description: 'Re-embed every file, even if its SHA is unchanged',
+            },
+            dryRun: {
+              type: 'boolean',
+              default: false,
+              description:
+                'List docs that would be pruned because they no longer exist in the source, without deleting them',
+            },
+            ...WAIT_PROPERTY,
+          },
+          required: ['repo_owner', 'repo_name'],
+        },
+      },
+      {
+        name: 'get_job_status',
+        description:
+          'Get progress, errors and ETA of a background indexing job, or list recent jobs when no job_id is given.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            job_id: {
+              type: 'string',
+              description: 'Job id returned by an indexing tool',
+            },
+          },
+        },
+      },
+      {
+        name: 'cancel_job',
+        description:
+          'Cancel a queued or running indexing job. It stops after the current batch of files; files already indexed are kept.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            job_id: { type: 'string' },
+          },
+          required: ['job_id'],
+        },
+      },
+      {
+        name: 'reembed',
+        description:
+          'Recompute all chunk embeddings with the active embedding model and rebuild the vector index, without re-downloading sources. Resumes an interrupted run.',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
     ];
   }
 
-  async handleToolCall(name, args) {
+  /**
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments; clients may omit them entirely
+   * @param {Object} extra - Request handler extra from the MCP SDK; its
+   *   progressToken and abort signal reach long-running use cases
+   */
+  async handleToolCall(name, args = {}, extra = {}) {
     try {
+      if (this.embeddingIndexError && VECTOR_TOOLS.includes(name)) {
+        throw new Error(this.embeddingIndexError);
+      }
+
+      if (JOB_TOOLS.includes(name) && !args.wait) {
+        const job = await this.useCases.runIndexingJob.execute({
+          type: name,
+          params: args,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🕒 Started job ${job.id} (${name} ${jobTarget(job)}). Poll it with get_job_status or stop it with cancel_job.`,
+            },
+          ],
+        };
+      }
+
       if (name === 'learn_repository') {
-        const result = await this.useCases.learnRepository.execute(args);
+        const result = await this.useCases.learnRepository.execute({
+          ...args,
+          signal: extra.signal,
+          onProgress: createProgressReporter(extra, 'files'),
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `✅ Successfully indexed ${result.processedFiles}/${result.totalFiles} files from GitHub into ${result.totalChunks} chunks.\n${formatIndexingSummary(result)}`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'learn_git') {
+        const result = await this.useCases.learnGit.execute({
+          ...args,
+          signal: extra.signal,
+          onProgress: createProgressReporter(extra, 'files'),
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `✅ Successfully indexed ${result.processedFiles}/${result.totalFiles} files from ${result.repoOwner}/${result.repoName} at ${result.commit.slice(0, 12)} into ${result.totalChunks} chunks.\n${formatIndexingSummary(result)}`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'learn_github_content') {
+        const result = await this.useCases.learnGithubContent.execute({
+          ...args,
+          signal: extra.signal,
+          onProgress: createProgressReporter(extra, 'items'),
+        });
         return {
           content: [
             {
               type: 'text',
-              text: `✅ Successfully indexed ${result.processedFiles}/${result.totalFiles} files from GitHub into ${result.totalChunks} chunks.`,
+              text: `✅ Successfully indexed ${result.processedFiles}/${result.totalFiles} issues, discussions and wiki pages from GitHub into ${result.totalChunks} chunks.\n${formatIndexingSummary(result)}`,
             },
           ],
         };
       }
 
       if (name === 'learn_filesystem') {
-        const result = await this.useCases.learnFilesystem.execute(args);
+        const result = await this.useCases.learnFilesystem.execute({
+          ...args,
+          signal: extra.signal,
+          onProgress: createProgressReporter(extra, 'files'),
+        });
         return {
           content: [
             {
               type: 'text',
-              text: `✅ Successfully indexed ${result.processedFiles}/${result.totalFiles} local files into ${result.totalChunks} chunks.`,
+              text: `✅ Successfully indexed ${result.processedFiles}/${result.totalFiles} local files into ${result.totalChunks} chunks.\n${formatIndexingSummary(result)}`,
             },
           ],
         };
@@ -96,26 +810,65 @@ export class ToolsHandler {
 
       if (name === 'ask_knowledge') {
         const results = await this.useCases.askKnowledge.execute(args);
+        // Where a hit comes from, with its pages for PDFs
+        const citationFor = (r) => {
+          const source =
+            r.source_type === 'local'
+              ? r.path
+              : `${r.repo_owner}/${r.repo_name}${formatRef(r.ref)}/${r.path}`;
+          return `${source}${formatPages(r.page_start, r.page_end)}`;
+        };
+        const structuredContent = {
+          query: args.query,
+          results: results.map((r) => ({
+            chunk_id: r.id,
+            doc_id: r.doc_id,
+            header: r.header,
+            content: r.content,
+            path: r.path,
+            repo_owner: r.repo_owner,
+            repo_name: r.repo_name,
+            ref: r.ref,
+            source_type: r.source_type,
+            uri: ResourcesHandler.uriFor(r),
+            score: r.score,
+            bm25_rank: r.bm25_rank,
+            vector_rank: r.vector_rank,
+            page_start: r.page_start ?? null,
+            page_end: r.page_end ?? null,
+            citation: citationFor(r),
+            rerank_score: r.rerank_score ?? null,
+          })),
+        };
+
+        if (args.format === 'json') {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(structuredContent, null, 2),
+              },
+            ],
+            structuredContent,
+          };
+        }
 
         if (results.length === 0) {
           return {
             content: [
               { type: 'text', text: 'No results found matching your query.' },
             ],
+            structuredContent,
           };
         }
 
         const formattedResults = results
           .map((r, idx) => {
             const icon = r.source_type === 'local' ? '📁' : '🌐';
-            const source =
-              r.source_type === 'local'
-                ? r.path
-                : `${r.repo_owner}/${r.repo_name}/${r.path}`;
-            return `${idx + 1}. ${icon} **${r.header}** (${source})\n   ${r.content.substring(
+            return `${idx + 1}. ${icon} **${r.header}** (${citationFor(r)})\n   ${r.content.substring(
               0,
               300,
-            )}...\n`;
+            )}...\n   🔗 ${ResourcesHandler.uriFor(r)} (doc ${r.doc_id}, chunk ${r.id})\n`;
           })
           .join('\n');
 
@@ -126,6 +879,52 @@ export class ToolsHandler {
               text: `### Search Results for: "${args.query}"\n\n${formattedResults}`,
             },
           ],
+          structuredContent,
+        };
+      }
+
+      if (name === 'get_document') {
+        const doc = await this.useCases.getDocument.execute(args);
+        const metadata = doc.metadata
+          ? `\n🏷️ ${JSON.stringify(doc.metadata)}`
+          : '';
+        const icon = doc.sourceType === 'local' ? '📁' : '🌐';
+        const source =
+          doc.sourceType === 'local'
+            ? doc.path
+            : `${doc.repoOwner}/${doc.repoName}${formatRef(doc.ref)}/${doc.path}`;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${icon} **${source}** (doc ${doc.id})\n🔗 ${ResourcesHandler.uriFor(doc)}${metadata}\n\n${doc.content}`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'get_chunk_context') {
+        const { chunk, before, after } =
+          await this.useCases.getChunkContext.execute(args);
+        const icon = chunk.source_type === 'local' ? '📁' : '🌐';
+        const source =
+          chunk.source_type === 'local'
+            ? chunk.path
+            : `${chunk.repo_owner}/${chunk.repo_name}${formatRef(chunk.ref)}/${chunk.path}`;
+        const formattedChunks = [...before, chunk, ...after]
+          .map(
+            (c) =>
+              `#### ${c.id === chunk.id ? '👉 ' : ''}${c.header} (chunk ${c.id}${formatPages(c.page_start, c.page_end)})\n${c.content}`,
+          )
+          .join('\n\n');
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${icon} **${source}** (doc ${chunk.doc_id}): chunk ${chunk.id} with ${before.length} before and ${after.length} after\n\n${formattedChunks}`,
+            },
+          ],
         };
       }
 
@@ -135,7 +934,145 @@ export class ToolsHandler {
           content: [
             {
               type: 'text',
-              text: `📊 **System Stats**\n- Total Docs: ${stats.total_docs}\n  - 🌐 GitHub: ${stats.github_docs}\n  - 📁 Local: ${stats.local_docs}\n- Total Chunks: ${stats.total_chunks}\n- Cache Entries: ${stats.cache_entries}`,
+              text: `📊 **System Stats**\n- Total Docs: ${stats.total_docs}\n  - 🌐 GitHub: ${stats.github_docs}\n  - 📁 Local: ${stats.local_docs}\n  - 🌿 Git: ${stats.git_docs}\n  - 💬 GitHub issues, discussions & wiki: ${stats.github_content_docs}\n- Total Chunks: ${stats.total_chunks}\n- Embeddings: ${stats.embedding_model} (${stats.embedding_dimensions}-d, ${stats.embedding_signature})\n  - ⚠️ Stale Docs: ${stats.stale_docs} (re-index to refresh)${stats.reembed_pending ? `\n  - 🔁 Re-embed in progress: ${stats.missing_embeddings} chunks pending (run reembed to resume)` : ''}\n- Cache Entries: ${stats.cache_entries}${stats.watched_directories.length > 0 ? `\n- 👁️ Watched Folders: ${stats.watched_directories.join(', ')}` : ''}${this.embeddingIndexError ? `\n\n❌ ${this.embeddingIndexError}` : ''}`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'watch_filesystem') {
+        const result = await this.useCases.watchFilesystem.execute({
+          ...args,
+          signal: extra.signal,
+          onProgress: createProgressReporter(extra, 'files'),
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `👁️ Watching ${result.directoryPath} (re-indexing ${result.debounceMs} ms after changes settle).\n✅ Indexed ${result.processedFiles}/${result.totalFiles} local files into ${result.totalChunks} chunks.\n${formatIndexingSummary(result)}`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'unwatch_filesystem') {
+        const result = await this.useCases.unwatchFilesystem.execute(args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🛑 Stopped watching ${result.directoryPath}.`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'list_sources') {
+        const sources = await this.useCases.listSources.execute();
+
+        if (sources.length === 0) {
+          return {
+            content: [{ type: 'text', text: 'No sources indexed yet.' }],
+          };
+        }
+
+        const formattedSources = sources
+          .map((s) => {
+            const icon = s.source_type === 'local' ? '📁' : '🌐';
+            const refs = s.refs.map(
+              (r) =>
+                `\n  - 🔖 ${r.ref} at ${r.commit_sha ? r.commit_sha.slice(0, 12) : 'unknown commit'}: ${r.doc_count} docs (indexed ${r.indexed_at})`,
+            );
+            return `- ${icon} **${s.repo_owner}/${s.repo_name}**: ${s.doc_count} docs, ${s.chunk_count} chunks (last indexed ${s.last_indexed_at})${refs.join('')}`;
+          })
+          .join('\n');
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `📚 **Indexed Sources**\n${formattedSources}`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'forget_source') {
+        const result = await this.useCases.forgetSource.execute(args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🗑️ Forgot ${args.repo_owner}/${args.repo_name}${formatRef(args.ref)}: removed ${result.docs} docs and ${result.chunks} chunks.`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'reindex_source') {
+        const result = await this.useCases.reindexSource.execute({
+          ...args,
+          signal: extra.signal,
+          onProgress: createProgressReporter(extra, 'files'),
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `✅ Re-indexed ${result.processedFiles}/${result.totalFiles} files from ${args.repo_owner}/${args.repo_name}${formatRef(args.ref)} into ${result.totalChunks} chunks.\n${formatIndexingSummary(result)}`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'get_job_status') {
+        const status = await this.useCases.getJobStatus.execute(args);
+
+        if (Array.isArray(status)) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text:
+                  status.length > 0
+                    ? `🗂️ **Recent Jobs**\n\n${status.map(formatJob).join('\n\n')}`
+                    : 'No indexing jobs yet.',
+              },
+            ],
+          };
+        }
+
+        return { content: [{ type: 'text', text: formatJob(status) }] };
+      }
+
+      if (name === 'cancel_job') {
+        const job = await this.useCases.cancelJob.execute(args);
+        return {
+          content: [
+            {
+              type: 'text',
+              text:
+                job.status === 'cancelled'
+                  ? `🛑 Cancelled job ${job.id}.`
+                  : `🛑 Cancelling job ${job.id}; it stops after the current batch of files.`,
+            },
+          ],
+        };
+      }
+
+      if (name === 'reembed') {
+        const result = await this.useCases.reembed.execute({
+          onProgress: createProgressReporter(extra, 'chunks'),
+        });
+        // The index now belongs to the active model, even if some chunks
+        // are still pending.
+        this.embeddingIndexError = null;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${result.completed ? '✅' : '⚠️'} ${result.resumed ? 'Resumed re-embed' : 'Re-embedded'} with ${result.model} (${result.dimensions}-d): ${result.embeddedChunks}/${result.totalChunks} chunks.\n- ❌ Failed: ${result.failedChunks}${result.completed ? '' : ' (run reembed again to retry)'}\n- 🧹 Invalidated cache entries: ${result.invalidatedCacheEntries}`,
             },
           ],
         };
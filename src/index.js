@@ -5,6 +5,9 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs';
 import path from 'path';
@@ -14,18 +17,40 @@ import os from 'os';
 import { SqliteDocsRepository } from './@infrastructure/database/SqliteDocsRepository.js';
 import { OllamaEmbeddingService } from './@infrastructure/services/OllamaEmbeddingService.js';
 import { LocalEmbeddingService } from './@infrastructure/services/LocalEmbeddingService.js';
+import { LocalRerankerService } from './@infrastructure/services/LocalRerankerService.js';
+import { OllamaRerankerService } from './@infrastructure/services/OllamaRerankerService.js';
 import { GithubService } from './@infrastructure/services/GithubService.js';
+import { GitService } from './@infrastructure/services/GitService.js';
 import { FileSystemService } from './@infrastructure/services/FileSystemService.js';
+import { FileWatcherService } from './@infrastructure/services/FileWatcherService.js';
+import { DocumentLoaderRegistry } from './@infrastructure/loaders/DocumentLoaderRegistry.js';
 import { Logger } from './@infrastructure/utils/Logger.js';
+import { Config } from './@infrastructure/utils/Config.js';
 
 // Application
 import { LearnRepositoryUseCase } from './@application/use-cases/LearnRepositoryUseCase.js';
+import { LearnGithubContentUseCase } from './@application/use-cases/LearnGithubContentUseCase.js';
+import { LearnGitUseCase } from './@application/use-cases/LearnGitUseCase.js';
 import { LearnFilesystemUseCase } from './@application/use-cases/LearnFilesystemUseCase.js';
 import { AskKnowledgeUseCase } from './@application/use-cases/AskKnowledgeUseCase.js';
 import { GetSystemStatusUseCase } from './@application/use-cases/GetSystemStatusUseCase.js';
+import { EnsureEmbeddingIndexUseCase } from './@application/use-cases/EnsureEmbeddingIndexUseCase.js';
+import { ReembedUseCase } from './@application/use-cases/ReembedUseCase.js';
+import { ListSourcesUseCase } from './@application/use-cases/ListSourcesUseCase.js';
+import { ForgetSourceUseCase } from './@application/use-cases/ForgetSourceUseCase.js';
+import { ReindexSourceUseCase } from './@application/use-cases/ReindexSourceUseCase.js';
+import { WatchFilesystemUseCase } from './@application/use-cases/WatchFilesystemUseCase.js';
+import { UnwatchFilesystemUseCase } from './@application/use-cases/UnwatchFilesystemUseCase.js';
+import { RunIndexingJobUseCase } from './@application/use-cases/RunIndexingJobUseCase.js';
+import { GetJobStatusUseCase } from './@application/use-cases/GetJobStatusUseCase.js';
+import { CancelJobUseCase } from './@application/use-cases/CancelJobUseCase.js';
+import { ListDocumentsUseCase } from './@application/use-cases/ListDocumentsUseCase.js';
+import { GetDocumentUseCase } from './@application/use-cases/GetDocumentUseCase.js';
+import { GetChunkContextUseCase } from './@application/use-cases/GetChunkContextUseCase.js';
 
 // Interface
 import { ToolsHandler } from './@interface/mcp/ToolsHandler.js';
+import { ResourcesHandler } from './@interface/mcp/ResourcesHandler.js';
 
 const SERVER_DIR = path.join(os.homedir(), '.mcp-knowledge-mind');
 if (!fs.existsSync(SERVER_DIR)) {
@@ -42,28 +67,93 @@ const logError = (msg) => {
 
 logError('SYSTEM: Starting MCP server (Hexagonal)...');
 
+// A background job's runner: arguments are checked when the job is queued,
+// then the use case runs with the job's signal and progress callback
+const jobRunner = (useCase) => ({
+  validate: (params) => useCase.validate(params),
+  run: (params, options) => useCase.execute({ ...params, ...options }),
+});
+
 class AppContainer {
   async init() {
     // 1. Initialize Infrastructure
-    const docsRepo = new SqliteDocsRepository(SERVER_DIR);
+    const config = Config.load();
+    const embeddingConfig = config.embedding;
 
     let embeddingService;
-    try {
-      logError('SYSTEM: Checking embedding provider...');
-      const ollamaService = new OllamaEmbeddingService();
-      await ollamaService.init();
-      embeddingService = ollamaService;
-      logError('✅ OLLAMA is active. Using it for embeddings.');
-    } catch (e) {
-      logError('⚠️ OLLAMA not detected. Switching to local transformers.');
-      const localService = new LocalEmbeddingService();
+    if (embeddingConfig.provider !== 'local') {
+      try {
+        logError('SYSTEM: Checking embedding provider...');
+        const ollamaService = new OllamaEmbeddingService(
+          embeddingConfig.model,
+          { batchSize: embeddingConfig.batchSize },
+        );
+        await ollamaService.init();
+        await ollamaService.getDimensions();
+        embeddingService = ollamaService;
+        logError(
+          `✅ OLLAMA is active. Using ${embeddingConfig.model} for embeddings.`,
+        );
+      } catch (e) {
+        if (embeddingConfig.provider === 'ollama') {
+          throw new Error(
+            `OLLAMA embedding provider unavailable (${embeddingConfig.model}): ${e.message}`,
+          );
+        }
+        logError('⚠️ OLLAMA not detected. Switching to local transformers.');
+      }
+    }
+
+    if (!embeddingService) {
+      const localService = new LocalEmbeddingService(
+        embeddingConfig.localModel,
+        { batchSize: embeddingConfig.batchSize },
+      );
       await localService.init();
       embeddingService = localService;
-      logError('✅ Internal model loaded successfully.');
+      logError(
+        `✅ Internal model ${embeddingConfig.localModel} loaded successfully.`,
+      );
+    }
+
+    const docsRepo = new SqliteDocsRepository(SERVER_DIR, {
+      embeddingDimensions: await embeddingService.getDimensions(),
+    });
+
+    // Refuse to mix vectors from different models in one index. On a mismatch
+    // the server still starts so sources can be inspected, forgotten or
+    // re-embedded, but tools that embed or search vectors report the error.
+    let embeddingIndexError = null;
+    try {
+      const index = await new EnsureEmbeddingIndexUseCase(
+        docsRepo,
+        embeddingService,
+        Logger,
+      ).execute({ dimensions: embeddingConfig.dimensions });
+      logError(`✅ Embedding index: ${index.model} (${index.dimensions}-d)`);
+    } catch (e) {
+      embeddingIndexError = e.message;
+      logError(`❌ ${embeddingIndexError}`);
     }
 
-    const githubService = new GithubService(process.env.GITHUB_CLASSIC_TOKEN);
+    const loaderRegistry = DocumentLoaderRegistry.createDefault();
+    const gitService = new GitService(
+      path.join(SERVER_DIR, 'git'),
+      loaderRegistry,
+    );
+    // GitHub wikis are git repositories, cloned through the same git runner
+    const githubService = new GithubService(
+      process.env.GITHUB_CLASSIC_TOKEN,
+      loaderRegistry,
+      { gitService },
+    );
     const fsService = new FileSystemService();
+    const fileWatcher = new FileWatcherService();
+    // The reranking model loads on the first query that asks for it
+    const reranker =
+      config.rerank.provider === 'ollama'
+        ? new OllamaRerankerService(config.rerank.model)
+        : new LocalRerankerService(config.rerank.model);
 
     // 2. Initialize Use Cases
     const learnRepository = new LearnRepositoryUseCase(
@@ -71,46 +161,160 @@ class AppContainer {
       githubService,
       embeddingService,
       Logger,
+      config.chunking,
+    );
+    const learnGithubContent = new LearnGithubContentUseCase(
+      docsRepo,
+      githubService,
+      embeddingService,
+      Logger,
+      config.chunking,
+    );
+    const learnGit = new LearnGitUseCase(
+      docsRepo,
+      gitService,
+      embeddingService,
+      Logger,
+      config.chunking,
     );
     const learnFilesystem = new LearnFilesystemUseCase(
       docsRepo,
       fsService,
       embeddingService,
       Logger,
+      config.chunking,
     );
     const askKnowledge = new AskKnowledgeUseCase(
       docsRepo,
       embeddingService,
       Logger,
+      {
+        searchDefaults: config.search,
+        reranker,
+        rerankDepth: config.rerank.depth,
+      },
     );
-    const getSystemStatus = new GetSystemStatusUseCase(docsRepo, Logger);
-
-    // 3. Initialize Interface Config
-    this.toolsHandler = new ToolsHandler({
+    const getSystemStatus = new GetSystemStatusUseCase(
+      docsRepo,
+      embeddingService,
+      Logger,
+    );
+    const reembed = new ReembedUseCase(docsRepo, embeddingService, Logger);
+    const listSources = new ListSourcesUseCase(docsRepo, Logger);
+    const forgetSource = new ForgetSourceUseCase(docsRepo, Logger);
+    const reindexSource = new ReindexSourceUseCase(
+      docsRepo,
       learnRepository,
       learnFilesystem,
-      askKnowledge,
-      getSystemStatus,
+      learnGithubContent,
+      learnGit,
+      Logger,
+    );
+    const watchFilesystem = new WatchFilesystemUseCase(
+      docsRepo,
+      fileWatcher,
+      learnFilesystem,
+      Logger,
+    );
+    const unwatchFilesystem = new UnwatchFilesystemUseCase(
+      docsRepo,
+      fileWatcher,
+      Logger,
+    );
+    // Indexing tools run in the background as jobs, keyed by tool name
+    const runIndexingJob = new RunIndexingJobUseCase(
+      docsRepo,
+      {
+        learn_repository: jobRunner(learnRepository),
+        learn_github_content: jobRunner(learnGithubContent),
+        learn_git: jobRunner(learnGit),
+        learn_filesystem: jobRunner(learnFilesystem),
+        reindex_source: jobRunner(reindexSource),
+      },
+      Logger,
+    );
+    const interruptedJobs = await runIndexingJob.recover();
+    if (interruptedJobs > 0) {
+      logError(`⚠️ Marked ${interruptedJobs} interrupted jobs as failed`);
+    }
+    const getJobStatus = new GetJobStatusUseCase(docsRepo, Logger);
+    const cancelJob = new CancelJobUseCase(docsRepo, runIndexingJob, Logger);
+    const listDocuments = new ListDocumentsUseCase(docsRepo, Logger);
+    const getDocument = new GetDocumentUseCase(docsRepo, Logger);
+    const getChunkContext = new GetChunkContextUseCase(docsRepo, Logger);
+
+    // 3. Initialize Interface Config
+    this.toolsHandler = new ToolsHandler(
+      {
+        learnRepository,
+        learnGithubContent,
+        learnGit,
+        learnFilesystem,
+        askKnowledge,
+        getSystemStatus,
+        listSources,
+        forgetSource,
+        reindexSource,
+        reembed,
+        watchFilesystem,
+        unwatchFilesystem,
+        runIndexingJob,
+        getJobStatus,
+        cancelJob,
+        getDocument,
+        getChunkContext,
+      },
+      { embeddingIndexError },
+    );
+    this.resourcesHandler = new ResourcesHandler({
+      listDocuments,
+      getDocument,
     });
 
     // 4. Start Server
     this.server = new Server(
       { name: 'docs-mcp-knowledge-mind', version: '1.0.0' },
-      { capabilities: { tools: {} } },
+      { capabilities: { tools: {}, resources: {} } },
     );
 
     this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: this.toolsHandler.getToolDefinitions(),
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-      return this.toolsHandler.handleToolCall(name, args);
-    });
+    this.server.setRequestHandler(
+      CallToolRequestSchema,
+      async (request, extra) => {
+        const { name, arguments: args } = request.params;
+        return this.toolsHandler.handleToolCall(name, args, extra);
+      },
+    );
+
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) =>
+      this.resourcesHandler.listResources(request.params),
+    );
+
+    this.server.setRequestHandler(
+      ListResourceTemplatesRequestSchema,
+      async () => ({
+        resourceTemplates: this.resourcesHandler.getResourceTemplates(),
+      }),
+    );
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) =>
+      this.resourcesHandler.readResource(request.params.uri),
+    );
 
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     logError('MCP Server Connected via Stdio');
+
+    // 5. Resume watched folders in the background (they re-index on changes)
+    if (!embeddingIndexError) {
+      watchFilesystem
+        .resume()
+        .then((dirs) => logError(`👁️ Watching ${dirs.length} folders`))
+        .catch((e) => logError(`❌ Resuming watchers failed: ${e.message}`));
+    }
   }
 }
 
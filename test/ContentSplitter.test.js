@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentSplitter } from '../src/@domain/services/ContentSplitter.js';
+
+const fence = [
+  '```bash',
+  ...Array.from(
+    { length: 12 },
+    (_, idx) => `npm run step-${idx} -- --flag value-${idx}`,
+  ),
+  '```',
+].join('\n');
+const table = ['| a | b |', '| - | - |', '| 1 | 2 |', '| 3 | 4 |'].join('\n');
+
+describe('ContentSplitter', () => {
+  describe('smartChunk', () => {
+    it('keeps a short table that follows a fence too large to overlap', () => {
+      const text = `## Setup\n\n${fence}\n\n${table}`;
+
+      const chunks = ContentSplitter.smartChunk(text, {
+        maxTokens: 100,
+        overlapTokens: 10,
+      });
+
+      assert.ok(chunks.some((chunk) => chunk.content.includes(table)));
+      assert.ok(chunks.some((chunk) => chunk.content.includes(fence)));
+    });
+
+    it('keeps a short lead-in that precedes a large fence', () => {
+      const text = `## Setup\n\nRun:\n\n${fence}`;
+
+      const chunks = ContentSplitter.smartChunk(text, {
+        maxTokens: 100,
+        overlapTokens: 10,
+      });
+
+      assert.equal(chunks.length, 1);
+      assert.match(chunks[0].content, /^## Setup\n\nRun:\n\n```bash/);
+    });
+
+    it('uses the heading path as header and ignores headings in fences', () => {
+      const body = 'Some text that is long enough to be kept as its own chunk.';
+      const text = [
+        'Guide',
+        '=====',
+        '',
+        '## Install',
+        '',
+        '### Windows ###',
+        '',
+        body,
+        '',
+        '```bash',
+        '# not a heading',
+        'npm install',
+        '```',
+        '',
+        '- A list item',
+        '',
+        '  ## Nor is a heading nested in a list',
+        '',
+        '## Usage',
+        '',
+        body,
+      ].join('\n');
+
+      const chunks = ContentSplitter.smartChunk(text);
+
+      assert.deepEqual(
+        chunks.map((chunk) => chunk.header),
+        ['Guide > Install > Windows', 'Guide > Usage'],
+      );
+      assert.match(chunks[0].content, /# not a heading/);
+      assert.match(chunks[0].content, /Nor is a heading nested in a list/);
+    });
+
+    it('gives chunks the range of pages they span', () => {
+      const paragraph = (page) =>
+        `Text of page ${page}, long enough to need its own chunk here.`;
+      const text = [1, 2, 3]
+        .map(
+          (page) => `${ContentSplitter.pageMarker(page)}\n${paragraph(page)}`,
+        )
+        .join('\n\n');
+
+      const chunks = ContentSplitter.smartChunk(text, {
+        maxTokens: 30,
+        overlapTokens: 0,
+      });
+
+      assert.deepEqual(
+        chunks.map(({ pageStart, pageEnd }) => [pageStart, pageEnd]),
+        [
+          [1, 2],
+          [3, 3],
+        ],
+      );
+      assert.ok(chunks.every((chunk) => !chunk.content.includes('<!--')));
+    });
+
+    it('drops sections too short to retrieve on their own', () => {
+      assert.deepEqual(ContentSplitter.smartChunk('# Title\n\nShort.'), []);
+    });
+  });
+
+  describe('parseFrontMatter', () => {
+    it('parses YAML front-matter into metadata and strips it', () => {
+      const text = [
+        '---',
+        'title: "Guide: Install"',
+        'tags: [setup, windows]',
+        'summary: |',
+        '  First line',
+        '  Second line',
+        'owner:',
+        '  name: Docs team',
+        '  reviewers:',
+        '    - ana',
+        '    - bo',
+        '---',
+        '# Guide',
+      ].join('\n');
+
+      assert.deepEqual(ContentSplitter.parseFrontMatter(text), {
+        metadata: {
+          title: 'Guide: Install',
+          tags: ['setup', 'windows'],
+          summary: 'First line\nSecond line\n',
+          owner: { name: 'Docs team', reviewers: ['ana', 'bo'] },
+        },
+        body: '# Guide',
+      });
+    });
+
+    it('keeps malformed or non-mapping front-matter out of the body', () => {
+      assert.deepEqual(
+        ContentSplitter.parseFrontMatter('---\n- a\n- b\n---\nBody'),
+        { metadata: {}, body: 'Body' },
+      );
+      assert.deepEqual(
+        ContentSplitter.parseFrontMatter('---\ntitle: [unclosed\n---\nBody'),
+        { metadata: {}, body: 'Body' },
+      );
+      assert.deepEqual(ContentSplitter.parseFrontMatter('# No front-matter'), {
+        metadata: null,
+        body: '# No front-matter',
+      });
+    });
+  });
+});
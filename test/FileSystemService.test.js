@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileSystemService } from '../src/@infrastructure/services/FileSystemService.js';
+
+const write = (root, relativePath, content = '# Doc') => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+describe('FileSystemService', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-fs-'));
+    write(root, 'README.md');
+    write(root, 'docs/build/guide.md');
+    write(root, 'dist/bundle.md');
+    write(root, 'node_modules/pkg/README.md');
+    write(root, 'notes/big.md', 'x'.repeat(2048));
+    write(root, 'ignored/a.md');
+    write(root, '.gitignore', 'ignored/\n');
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('lists supported files and reports what it skipped', async () => {
+    const { files, skipped } = await new FileSystemService().getFilesRecursive(
+      root,
+      10,
+      { maxFileSize: 1024 },
+    );
+
+    assert.deepEqual(files.sort(), [
+      path.join(root, 'README.md'),
+      path.join(root, 'docs/build/guide.md'),
+    ]);
+    assert.deepEqual(
+      skipped.sort((a, b) => a.path.localeCompare(b.path)),
+      [
+        {
+          path: `${path.join(root, 'dist')}${path.sep}`,
+          reason: 'excluded by default',
+        },
+        {
+          path: path.join(root, 'notes/big.md'),
+          size: 2048,
+          reason: 'too large',
+        },
+      ],
+    );
+  });
+
+  it('walks a default-excluded directory that include asks for', async () => {
+    const { files, skipped } = await new FileSystemService().getFilesRecursive(
+      root,
+      10,
+      { include: ['dist/**'] },
+    );
+
+    assert.deepEqual(files, [path.join(root, 'dist/bundle.md')]);
+    assert.deepEqual(skipped, []);
+  });
+
+  it('only lists the given paths and the directories leading to them', async () => {
+    const { files, skipped } = await new FileSystemService().getFilesRecursive(
+      root,
+      10,
+      {
+        paths: [
+          path.join(root, 'docs/build'),
+          path.join(root, 'dist/bundle.md'),
+          path.join(root, 'ignored/a.md'),
+        ],
+      },
+    );
+
+    assert.deepEqual(files, [path.join(root, 'docs/build/guide.md')]);
+    assert.deepEqual(skipped, [
+      {
+        path: `${path.join(root, 'dist')}${path.sep}`,
+        reason: 'excluded by default',
+      },
+    ]);
+  });
+});
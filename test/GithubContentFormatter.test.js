@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GithubContentFormatter } from '../src/@domain/services/GithubContentFormatter.js';
+
+const issue = {
+  number: 12,
+  title: 'Crash on start',
+  body: 'It crashes.\n',
+  state: 'open',
+  labels: ['bug', 'p1'],
+  author: 'alice',
+  createdAt: '2024-03-01T10:00:00Z',
+  comments: [
+    { author: 'bob', body: 'Same here.', createdAt: '2024-03-02T08:00:00Z' },
+  ],
+};
+
+describe('GithubContentFormatter', () => {
+  it('renders an issue with its facts and one heading per comment', () => {
+    assert.equal(
+      GithubContentFormatter.formatIssue(issue),
+      [
+        '# Issue #12: Crash on start',
+        'State: open · Labels: bug, p1 · Opened by @alice (2024-03-01)',
+        'It crashes.',
+        '## Comment by @bob (2024-03-02)\n\nSame here.',
+      ].join('\n\n'),
+    );
+  });
+
+  it('fills in empty bodies, missing labels and deleted authors', () => {
+    const markdown = GithubContentFormatter.formatIssue({
+      ...issue,
+      body: '  ',
+      labels: [],
+      author: null,
+      comments: [],
+    });
+
+    assert.equal(
+      markdown,
+      [
+        '# Issue #12: Crash on start',
+        'State: open · Opened by @ghost (2024-03-01)',
+        '_No description provided._',
+      ].join('\n\n'),
+    );
+  });
+
+  it('marks the accepted answer of a discussion', () => {
+    const markdown = GithubContentFormatter.formatDiscussion({
+      number: 7,
+      title: 'How to configure?',
+      body: 'Question body',
+      state: 'closed',
+      category: 'Q&A',
+      answered: true,
+      labels: [],
+      author: 'carol',
+      createdAt: '2024-04-01T00:00:00Z',
+      comments: [
+        { author: 'dave', body: 'Try this', createdAt: null, isAnswer: false },
+        { author: 'erin', body: 'Use X', createdAt: null, isAnswer: true },
+      ],
+    });
+
+    assert.match(markdown, /^# Discussion #7: How to configure\?/);
+    assert.match(
+      markdown,
+      /Category: Q&A · State: closed, answered · Started by @carol/,
+    );
+    assert.match(markdown, /## Comment by @dave\n\nTry this/);
+    assert.match(markdown, /## Answer by @erin\n\nUse X/);
+  });
+});
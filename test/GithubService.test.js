@@ -0,0 +1,248 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GithubService } from '../src/@infrastructure/services/GithubService.js';
+import { GitService } from '../src/@infrastructure/services/GitService.js';
+
+const apiIssue = (number, fields = {}) => ({
+  number,
+  title: `Issue ${number}`,
+  body: `Body ${number}`,
+  state: 'open',
+  labels: [{ name: 'bug' }, 'docs'],
+  html_url: `https://github.com/o/r/issues/${number}`,
+  user: { login: 'alice' },
+  created_at: '2024-01-01T00:00:00Z',
+  updated_at: '2024-01-02T00:00:00Z',
+  comments: 0,
+  ...fields,
+});
+
+/**
+ * Octokit stub serving fixed issues, comments and discussion pages, and
+ * recording the requests it gets
+ */
+const createOctokit = ({
+  issues = [],
+  comments = {},
+  discussionPages = [],
+}) => {
+  const calls = { listForRepo: [], listComments: [], graphql: [] };
+  const octokit = {
+    calls,
+    issues: { listForRepo: () => {}, listComments: () => {} },
+    paginate: async (method, params) => {
+      if (method === octokit.issues.listForRepo) {
+        calls.listForRepo.push(params);
+        return issues;
+      }
+      calls.listComments.push(params.issue_number);
+      return comments[params.issue_number] || [];
+    },
+    graphql: async (query, variables) => {
+      calls.graphql.push(variables);
+      return discussionPages[calls.graphql.length - 1];
+    },
+  };
+  return octokit;
+};
+
+const discussionPage = (numbers, endCursor) => ({
+  repository: {
+    discussions: {
+      pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+      nodes: numbers.map((number) => ({
+        number,
+        title: `Discussion ${number}`,
+        body: '',
+        url: `https://github.com/o/r/discussions/${number}`,
+        closed: false,
+        createdAt: '2024-01-01T00:00:00Z',
+        updatedAt: '2024-01-01T00:00:00Z',
+        author: null,
+        category: { name: 'Q&A' },
+        labels: { nodes: [] },
+        answer: { id: `answer-${number}` },
+        comments: {
+          nodes: [
+            {
+              id: `answer-${number}`,
+              body: 'Answer',
+              createdAt: '2024-01-02T00:00:00Z',
+              author: { login: 'bob' },
+            },
+          ],
+        },
+      })),
+    },
+  },
+});
+
+describe('GithubService', () => {
+  describe('getIssues', () => {
+    it('skips pull requests and only fetches comments of commented issues', async () => {
+      const octokit = createOctokit({
+        issues: [
+          apiIssue(1, { comments: 1 }),
+          apiIssue(2, { pull_request: { url: 'https://api.github.com/...' } }),
+          apiIssue(3, { body: null, user: null }),
+        ],
+        comments: {
+          1: [
+            {
+              user: { login: 'bob' },
+              body: 'Me too',
+              created_at: '2024-01-03T00:00:00Z',
+            },
+          ],
+        },
+      });
+      const service = new GithubService('token', undefined, { octokit });
+
+      const issues = await service.getIssues('o', 'r', { state: 'closed' });
+
+      assert.deepEqual(
+        issues.map((issue) => issue.number),
+        [1, 3],
+      );
+      assert.deepEqual(octokit.calls.listComments, [1]);
+      assert.equal(octokit.calls.listForRepo[0].state, 'closed');
+      assert.deepEqual(issues[0].labels, ['bug', 'docs']);
+      assert.deepEqual(issues[0].comments, [
+        { author: 'bob', body: 'Me too', createdAt: '2024-01-03T00:00:00Z' },
+      ]);
+      assert.equal(issues[1].body, '');
+      assert.equal(issues[1].author, null);
+    });
+
+    it('does not fetch the comments of issues the caller already has', async () => {
+      const octokit = createOctokit({
+        issues: [apiIssue(1, { comments: 3 }), apiIssue(2, { comments: 1 })],
+      });
+      const service = new GithubService('token', undefined, { octokit });
+      const seen = [];
+
+      const issues = await service.getIssues('o', 'r', {
+        isUnchanged: async (issue) => {
+          seen.push(issue);
+          return issue.number === 1;
+        },
+      });
+
+      assert.deepEqual(seen[0], {
+        number: 1,
+        updatedAt: '2024-01-02T00:00:00Z',
+        comments: 3,
+      });
+      assert.deepEqual(issues[0], { number: 1, unchanged: true });
+      assert.equal(issues[1].number, 2);
+      assert.deepEqual(octokit.calls.listComments, [2]);
+    });
+  });
+
+  describe('getDiscussions', () => {
+    it('follows the GraphQL cursor across pages', async () => {
+      const octokit = createOctokit({
+        discussionPages: [
+          discussionPage([1, 2], 'cursor-1'),
+          discussionPage([3], null),
+        ],
+      });
+      const service = new GithubService('token', undefined, { octokit });
+
+      const discussions = await service.getDiscussions('o', 'r');
+
+      assert.deepEqual(
+        discussions.map((discussion) => discussion.number),
+        [1, 2, 3],
+      );
+      assert.deepEqual(
+        octokit.calls.graphql.map((variables) => variables.after),
+        [null, 'cursor-1'],
+      );
+      assert.equal(discussions[0].answered, true);
+      assert.equal(discussions[0].comments[0].isAnswer, true);
+      assert.equal(discussions[0].category, 'Q&A');
+    });
+  });
+
+  describe('getWikiPages', () => {
+    it('clones the wiki with the token in a header and skips navigation pages', async () => {
+      const commands = [];
+      const runner = async (args, { config = {} } = {}) => {
+        commands.push({ args, config });
+        if (args.includes('ls-tree')) {
+          return [
+            '100644 blob aaa 12\tHome.md',
+            '100644 blob bbb 10\t_Sidebar.md',
+            '100644 blob ccc 10\tlogo.png',
+            '100644 blob ddd 14\tGuides/Getting-Started.md',
+          ]
+            .map((entry) => `${entry}\0`)
+            .join('');
+        }
+        if (args.includes('cat-file')) {
+          return Buffer.from(`# Page ${args.at(-1)}`);
+        }
+        return '';
+      };
+      const gitService = new GitService('/unused', undefined, { runner });
+      const service = new GithubService('secret', undefined, {
+        octokit: createOctokit({}),
+        gitService,
+      });
+
+      const pages = await service.getWikiPages('o', 'r');
+
+      const clone = commands.find(({ args }) => args.includes('clone'));
+      assert.ok(clone.args.includes('https://github.com/o/r.wiki.git'));
+      assert.ok(!clone.args.some((arg) => arg.includes('Authorization')));
+      assert.equal(
+        clone.config['http.extraHeader'],
+        `Authorization: Basic ${Buffer.from('x-access-token:secret').toString('base64')}`,
+      );
+      assert.deepEqual(
+        pages.map(({ path, name, sha, content, url }) => ({
+          path,
+          name,
+          sha,
+          content,
+          url,
+        })),
+        [
+          {
+            path: 'Home.md',
+            name: 'Home',
+            sha: 'aaa',
+            content: '# Page aaa',
+            url: 'https://github.com/o/r/wiki/Home',
+          },
+          {
+            path: 'Guides/Getting-Started.md',
+            name: 'Getting-Started',
+            sha: 'ddd',
+            content: '# Page ddd',
+            url: 'https://github.com/o/r/wiki/Getting-Started',
+          },
+        ],
+      );
+    });
+
+    it('explains a failed clone', async () => {
+      const runner = async (args) => {
+        if (args.includes('clone')) {
+          throw new Error('git clone failed: repository not found');
+        }
+        return '';
+      };
+      const service = new GithubService('token', undefined, {
+        octokit: createOctokit({}),
+        gitService: new GitService('/unused', undefined, { runner }),
+      });
+
+      await assert.rejects(
+        service.getWikiPages('o', 'r'),
+        /Could not clone the wiki of o\/r .*repository not found/,
+      );
+    });
+  });
+});
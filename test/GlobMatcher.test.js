@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GlobMatcher } from '../src/@domain/services/GlobMatcher.js';
+
+const files = (...paths) => paths.map((path) => ({ path }));
+
+describe('GlobMatcher', () => {
+  describe('filterFiles', () => {
+    it('skips .git and node_modules at any depth', () => {
+      const { included, excludedDirs } = GlobMatcher.filterFiles(
+        files('README.md', 'node_modules/a/README.md', 'pkg/.git/HEAD.md'),
+      );
+
+      assert.deepEqual(included, files('README.md'));
+      assert.deepEqual(excludedDirs, []);
+    });
+
+    it('only excludes build output at the root, and reports it', () => {
+      const { included, excludedByDefault, excludedDirs } =
+        GlobMatcher.filterFiles(
+          files(
+            'docs/build/guide.md',
+            'packages/ui/dist/README.md',
+            'build/out.md',
+            'dist/a.md',
+            'dist/b.md',
+          ),
+        );
+
+      assert.deepEqual(
+        included,
+        files('docs/build/guide.md', 'packages/ui/dist/README.md'),
+      );
+      assert.deepEqual(
+        excludedByDefault,
+        files('build/out.md', 'dist/a.md', 'dist/b.md'),
+      );
+      assert.deepEqual(excludedDirs, ['build', 'dist']);
+    });
+
+    it('lets an include pattern bring a default-excluded directory back', () => {
+      const { included, excludedDirs } = GlobMatcher.filterFiles(
+        files('dist/a.md', 'vendor/lib/README.md', 'docs/x.md'),
+        { include: ['/dist/**', 'docs/'] },
+      );
+
+      assert.deepEqual(included, files('dist/a.md', 'docs/x.md'));
+      assert.deepEqual(excludedDirs, []);
+    });
+
+    it('does not report files the filters leave out anyway', () => {
+      const { included, excludedDirs } = GlobMatcher.filterFiles(
+        files('dist/a.md', 'docs/x.md', 'docs/archive/y.md'),
+        { include: ['docs/'], exclude: ['docs/archive/'] },
+      );
+
+      assert.deepEqual(included, files('docs/x.md'));
+      assert.deepEqual(excludedDirs, []);
+    });
+
+    it('lets exclude win over include', () => {
+      const { included } = GlobMatcher.filterFiles(files('dist/a.md'), {
+        include: ['dist/**'],
+        exclude: ['*.md'],
+      });
+
+      assert.deepEqual(included, []);
+    });
+  });
+
+  describe('toRegExp', () => {
+    it('matches unanchored names at any depth and anchored paths at the root', () => {
+      assert.ok(GlobMatcher.matchesAny('a/b/CHANGELOG.md', ['CHANGELOG.md']));
+      assert.ok(GlobMatcher.matchesAny('docs/api/x.md', ['/docs']));
+      assert.ok(!GlobMatcher.matchesAny('src/docs/x.md', ['/docs']));
+      assert.ok(GlobMatcher.matchesAny('docs/a/b/c.md', ['docs/**/*.md']));
+      assert.ok(GlobMatcher.matchesAny('x.mdx', ['*.{md,mdx}']));
+    });
+  });
+});
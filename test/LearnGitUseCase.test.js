@@ -0,0 +1,50 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LearnGitUseCase } from '../src/@application/use-cases/LearnGitUseCase.js';
+import { GitService } from '../src/@infrastructure/services/GitService.js';
+import {
+  createFakeEmbeddingService,
+  createTempDocsRepository,
+} from './helpers.js';
+
+describe('LearnGitUseCase', () => {
+  let docsRepo;
+  let cleanup;
+  let learnGit;
+
+  beforeEach(async () => {
+    ({ docsRepo, cleanup } = createTempDocsRepository(8));
+    // Nothing may be cloned or read before the name is checked
+    const gitService = new GitService('/nonexistent', undefined, {
+      runner: async () => assert.fail('git was run'),
+    });
+    learnGit = new LearnGitUseCase(
+      docsRepo,
+      gitService,
+      createFakeEmbeddingService(8),
+    );
+    await docsRepo.saveSource({
+      repoOwner: 'acme',
+      repoName: 'docs',
+      sourceType: 'github',
+      options: { branch: 'main' },
+    });
+  });
+
+  afterEach(() => cleanup());
+
+  it('refuses to index under the name of a GitHub source', async () => {
+    await assert.rejects(
+      learnGit.execute({
+        url: 'https://gitlab.com/acme/docs.git',
+        owner: 'acme',
+        repo: 'docs',
+      }),
+      /acme\/docs is already a github source/,
+    );
+    assert.equal(
+      (await docsRepo.getSource('acme', 'docs')).source_type,
+      'github',
+    );
+  });
+});
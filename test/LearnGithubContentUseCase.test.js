@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LearnGithubContentUseCase } from '../src/@application/use-cases/LearnGithubContentUseCase.js';
+import {
+  createFakeEmbeddingService,
+  createTempDocsRepository,
+} from './helpers.js';
+
+const issue = (number, body = `Issue ${number} body`) => ({
+  number,
+  title: `Issue ${number}`,
+  body,
+  state: 'open',
+  labels: [],
+  url: `https://github.com/o/r/issues/${number}`,
+  author: 'alice',
+  createdAt: '2024-01-01T00:00:00Z',
+  updatedAt: '2024-01-01T00:00:00Z',
+  comments: [],
+});
+
+const touched = (item) => ({ ...item, updatedAt: '2024-02-01T00:00:00Z' });
+
+const wikiPage = (name) => ({
+  path: `${name}.md`,
+  name,
+  sha: `sha-${name}`,
+  content: `# ${name}\n\nWiki page ${name}`,
+  url: `https://github.com/o/r/wiki/${name}`,
+});
+
+describe('LearnGithubContentUseCase', () => {
+  let docsRepo;
+  let cleanup;
+  let github;
+  let learn;
+
+  beforeEach(() => {
+    ({ docsRepo, cleanup } = createTempDocsRepository());
+    github = {
+      issues: [issue(1), issue(2)],
+      wiki: [wikiPage('Home'), wikiPage('Setup')],
+      fullIssues: [],
+      // Like GithubService: issues the caller already has come back bare
+      getIssues: async (owner, repo, { isUnchanged }) => {
+        const result = [];
+        for (const item of github.issues) {
+          const unchanged = await isUnchanged({
+            number: item.number,
+            updatedAt: item.updatedAt,
+            comments: item.comments.length,
+          });
+          if (unchanged) {
+            result.push({ number: item.number, unchanged: true });
+          } else {
+            github.fullIssues.push(item.number);
+            result.push(item);
+          }
+        }
+        return result;
+      },
+      getDiscussions: async () => [],
+      getWikiPages: async () => {
+        if (github.wiki instanceof Error) throw github.wiki;
+        return github.wiki;
+      },
+    };
+    learn = new LearnGithubContentUseCase(
+      docsRepo,
+      github,
+      createFakeEmbeddingService(),
+    );
+  });
+
+  afterEach(() => cleanup());
+
+  it('indexes each item once and skips unchanged ones', async () => {
+    const first = await learn.execute({ owner: 'o', repo: 'r' });
+    assert.equal(first.newFiles, 4);
+
+    github.issues = [issue(1), touched(issue(2, 'Edited body'))];
+    github.fullIssues = [];
+    const second = await learn.execute({ owner: 'o', repo: 'r' });
+    assert.equal(second.unchangedFiles, 3);
+    assert.equal(second.updatedFiles, 1);
+    assert.deepEqual(github.fullIssues, [2]);
+
+    const doc = await docsRepo.findDoc('o', 'r', 'issues/2');
+    assert.equal(doc.sourceType, 'github_issue');
+    assert.equal(doc.ref, '');
+  });
+
+  it('fetches every issue in full when forced', async () => {
+    await learn.execute({ owner: 'o', repo: 'r' });
+
+    github.fullIssues = [];
+    const result = await learn.execute({ owner: 'o', repo: 'r', force: true });
+
+    assert.deepEqual(github.fullIssues, [1, 2]);
+    assert.equal(result.updatedFiles, 4);
+  });
+
+  it('prunes items no longer listed', async () => {
+    await learn.execute({ owner: 'o', repo: 'r' });
+
+    github.issues = [issue(1)];
+    github.wiki = [wikiPage('Home')];
+    const result = await learn.execute({ owner: 'o', repo: 'r' });
+
+    assert.equal(result.prunedDocs, 2);
+    assert.deepEqual(result.stalePaths.sort(), ['issues/2', 'wiki/Setup']);
+    assert.deepEqual((await docsRepo.getDocPaths('o', 'r')).sort(), [
+      'issues/1',
+      'wiki/Home',
+    ]);
+  });
+
+  it('only reports stale items on a dry run', async () => {
+    await learn.execute({ owner: 'o', repo: 'r' });
+
+    github.issues = [];
+    const result = await learn.execute({ owner: 'o', repo: 'r', dryRun: true });
+
+    assert.equal(result.prunedDocs, 0);
+    assert.deepEqual(result.stalePaths.sort(), ['issues/1', 'issues/2']);
+    assert.equal((await docsRepo.getDocPaths('o', 'r')).length, 4);
+  });
+
+  it('keeps the items of a kind that failed to fetch', async () => {
+    await learn.execute({ owner: 'o', repo: 'r' });
+
+    github.wiki = new Error('wiki disabled');
+    github.issues = [issue(1)];
+    const result = await learn.execute({ owner: 'o', repo: 'r' });
+
+    assert.deepEqual(result.failedFiles, [
+      { path: 'github_wiki', error: 'wiki disabled' },
+    ]);
+    assert.deepEqual(result.stalePaths, ['issues/2']);
+    assert.deepEqual((await docsRepo.getDocPaths('o', 'r')).sort(), [
+      'issues/1',
+      'wiki/Home',
+      'wiki/Setup',
+    ]);
+  });
+
+  it('leaves repository files with the same path alone', async () => {
+    await docsRepo.saveDoc({
+      repoOwner: 'o',
+      repoName: 'r',
+      path: 'issues/2',
+      ref: 'main',
+      sha: 'file',
+      content: 'A file named like an issue',
+      sourceType: 'github',
+    });
+    await learn.execute({ owner: 'o', repo: 'r' });
+
+    github.issues = [issue(1)];
+    await learn.execute({ owner: 'o', repo: 'r' });
+
+    const file = await docsRepo.findDoc('o', 'r', 'issues/2', 'main');
+    assert.equal(file.sourceType, 'github');
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LearnRepositoryUseCase } from '../src/@application/use-cases/LearnRepositoryUseCase.js';
+import { Doc } from '../src/@domain/entities/Doc.js';
+import {
+  createFakeEmbeddingService,
+  createTempDocsRepository,
+} from './helpers.js';
+
+/**
+ * GithubService stub serving a fixed tree per branch; a blob's content is
+ * derived from its SHA
+ */
+const createGithubService = (trees) => ({
+  trees,
+  getTree: async (owner, repo, branch) => {
+    if (!trees[branch]) throw new Error(`No commit found for ref ${branch}`);
+    return {
+      tree: trees[branch].map((file) => ({ type: 'blob', size: 100, ...file })),
+      truncated: false,
+      commit: `${branch}-commit`,
+    };
+  },
+  isSupported: (filePath) => filePath.endsWith('.md'),
+  getSupportedExtensions: () => ['.md'],
+  getLoaderVersion: () => 1,
+  getFileContent: async (owner, repo, sha) =>
+    `# Readme\n\nContent of blob ${sha}`,
+});
+
+describe('LearnRepositoryUseCase', () => {
+  let docsRepo;
+  let cleanup;
+  let github;
+  let learn;
+
+  beforeEach(() => {
+    ({ docsRepo, cleanup } = createTempDocsRepository());
+    github = createGithubService({
+      master: [{ path: 'README.md', sha: 'readme-1' }],
+      v2: [{ path: 'README.md', sha: 'readme-2' }],
+    });
+    learn = new LearnRepositoryUseCase(
+      docsRepo,
+      github,
+      createFakeEmbeddingService(),
+    );
+  });
+
+  afterEach(() => cleanup());
+
+  it('indexes branches and tags side by side', async () => {
+    await learn.execute({ owner: 'o', repo: 'r', branch: 'master' });
+    const result = await learn.execute({ owner: 'o', repo: 'r', branch: 'v2' });
+
+    assert.equal(result.newFiles, 1);
+    assert.equal(result.prunedDocs, 0);
+    assert.deepEqual(
+      (await docsRepo.listSourceRefs('o', 'r')).map(({ ref, commit_sha }) => [
+        ref,
+        commit_sha,
+      ]),
+      [
+        ['master', 'master-commit'],
+        ['v2', 'v2-commit'],
+      ],
+    );
+  });
+
+  it('claims docs whose ref was never recorded', async () => {
+    const signature = createFakeEmbeddingService().getSignature();
+    for (const [path, sha] of [
+      ['README.md', 'readme-1'],
+      ['old.md', 'old'],
+    ]) {
+      await docsRepo.saveDoc(
+        new Doc({
+          repoOwner: 'o',
+          repoName: 'r',
+          path,
+          sha,
+          content: 'Indexed before refs',
+          sourceType: 'github',
+          embeddingSignature: signature,
+        }),
+      );
+    }
+
+    const result = await learn.execute({
+      owner: 'o',
+      repo: 'r',
+      branch: 'master',
+    });
+
+    assert.equal(result.unchangedFiles, 1);
+    assert.deepEqual(result.stalePaths, ['old.md']);
+    assert.deepEqual(await docsRepo.getDocPaths('o', 'r', null, ''), []);
+    assert.deepEqual(
+      (await docsRepo.listSourceRefs('o', 'r')).map(({ ref }) => ref),
+      ['master'],
+    );
+  });
+
+  it('drops unrecorded copies of docs the ref already has', async () => {
+    await learn.execute({ owner: 'o', repo: 'r', branch: 'master' });
+    await docsRepo.saveDoc(
+      new Doc({
+        repoOwner: 'o',
+        repoName: 'r',
+        path: 'README.md',
+        sha: 'stale',
+        content: 'Indexed before refs',
+        sourceType: 'github',
+      }),
+    );
+
+    await learn.execute({ owner: 'o', repo: 'r', branch: 'master' });
+
+    assert.deepEqual(await docsRepo.getDocPaths('o', 'r'), ['README.md']);
+    const doc = await docsRepo.findDoc('o', 'r', 'README.md');
+    assert.equal(doc.ref, 'master');
+    assert.equal(doc.sha, 'readme-1');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReembedUseCase } from '../src/@application/use-cases/ReembedUseCase.js';
+import { Doc } from '../src/@domain/entities/Doc.js';
+import { Chunk } from '../src/@domain/entities/Chunk.js';
+import {
+  createFakeEmbeddingService,
+  createTempDocsRepository,
+} from './helpers.js';
+
+describe('ReembedUseCase', () => {
+  let docsRepo;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ docsRepo, cleanup } = createTempDocsRepository(8));
+    const oldModel = createFakeEmbeddingService(8, 'old');
+    await docsRepo.registerEmbeddingIndex({ model: 'old', dimensions: 8 });
+    const docId = await docsRepo.saveDoc(
+      new Doc({
+        repoOwner: '__local__',
+        repoName: 'notes',
+        path: 'a.md',
+        sha: 'a',
+        content: '# A',
+        sourceType: 'local',
+        embeddingSignature: oldModel.getSignature(),
+      }),
+    );
+    const texts = ['first chunk', 'second chunk'];
+    const embeddings = await oldModel.embedDocuments(texts);
+    await docsRepo.saveChunks(
+      docId,
+      texts.map(
+        (content, idx) =>
+          new Chunk({
+            docId,
+            header: 'A',
+            content,
+            embedding: embeddings[idx],
+          }),
+      ),
+    );
+  });
+
+  afterEach(() => cleanup());
+
+  it('re-embeds every chunk into an index of the new size', async () => {
+    const newModel = createFakeEmbeddingService(4, 'new');
+
+    const result = await new ReembedUseCase(docsRepo, newModel).execute();
+
+    assert.equal(result.completed, true);
+    assert.equal(result.embeddedChunks, 2);
+    assert.deepEqual(await docsRepo.getEmbeddingIndex(), {
+      model: 'new',
+      dimensions: 4,
+    });
+    const doc = await docsRepo.findDoc('__local__', 'notes', 'a.md');
+    assert.equal(doc.embeddingSignature, newModel.getSignature());
+  });
+
+  it('starts over when the index reset did not happen', async () => {
+    const newModel = createFakeEmbeddingService(4, 'new');
+    const reset = docsRepo.resetEmbeddingIndex.bind(docsRepo);
+    docsRepo.resetEmbeddingIndex = async () => {
+      throw new Error('disk full');
+    };
+
+    await assert.rejects(
+      new ReembedUseCase(docsRepo, newModel).execute(),
+      /disk full/,
+    );
+
+    // Resuming would find no pending chunk and stamp the old vectors
+    docsRepo.resetEmbeddingIndex = reset;
+    const result = await new ReembedUseCase(docsRepo, newModel).execute();
+
+    assert.equal(result.resumed, false);
+    assert.equal(result.embeddedChunks, 2);
+    assert.equal(result.dimensions, 4);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReindexSourceUseCase } from '../src/@application/use-cases/ReindexSourceUseCase.js';
+import { createTempDocsRepository } from './helpers.js';
+
+const emptyResult = () => ({
+  processedFiles: 1,
+  totalFiles: 1,
+  totalChunks: 1,
+  newFiles: 0,
+  updatedFiles: 0,
+  unchangedFiles: 1,
+  prunedDocs: 0,
+  stalePaths: [],
+  skippedFiles: [],
+  failedFiles: [],
+  dryRun: false,
+});
+
+describe('ReindexSourceUseCase', () => {
+  let docsRepo;
+  let cleanup;
+  let learnedRefs;
+  let reindex;
+
+  beforeEach(async () => {
+    ({ docsRepo, cleanup } = createTempDocsRepository());
+    await docsRepo.saveSource({
+      repoOwner: 'o',
+      repoName: 'r',
+      sourceType: 'github',
+      options: { branch: 'v2', include: ['docs/'] },
+    });
+    for (const ref of ['gone', 'main', 'v2']) {
+      await docsRepo.saveSourceRef({
+        repoOwner: 'o',
+        repoName: 'r',
+        ref,
+        commit: null,
+      });
+    }
+
+    learnedRefs = [];
+    const learnRepository = {
+      execute: async (params) => {
+        learnedRefs.push(params);
+        if (params.branch === 'gone') {
+          throw new Error('No commit found for ref gone');
+        }
+        return emptyResult();
+      },
+    };
+    reindex = new ReindexSourceUseCase(docsRepo, learnRepository);
+  });
+
+  afterEach(() => cleanup());
+
+  it('re-indexes every ref and reports the ones that fail', async () => {
+    const result = await reindex.execute({ repo_owner: 'o', repo_name: 'r' });
+
+    assert.deepEqual(
+      learnedRefs.map((params) => params.branch),
+      ['gone', 'main', 'v2'],
+    );
+    assert.deepEqual(learnedRefs[1].include, ['docs/']);
+    assert.equal(result.unchangedFiles, 2);
+    assert.deepEqual(result.failedFiles, [
+      { path: 'ref gone', error: 'No commit found for ref gone' },
+    ]);
+  });
+
+  it('throws when the only ref asked for fails', async () => {
+    await assert.rejects(
+      reindex.execute({ repo_owner: 'o', repo_name: 'r', ref: 'gone' }),
+      /No commit found for ref gone/,
+    );
+  });
+});
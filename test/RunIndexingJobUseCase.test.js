@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunIndexingJobUseCase } from '../src/@application/use-cases/RunIndexingJobUseCase.js';
+import { LearnRepositoryUseCase } from '../src/@application/use-cases/LearnRepositoryUseCase.js';
+import { ReindexSourceUseCase } from '../src/@application/use-cases/ReindexSourceUseCase.js';
+import { ToolsHandler } from '../src/@interface/mcp/ToolsHandler.js';
+import { Logger } from '../src/@infrastructure/utils/Logger.js';
+import { createTempDocsRepository } from './helpers.js';
+
+describe('RunIndexingJobUseCase', () => {
+  let docsRepo;
+  let cleanup;
+  let runIndexingJob;
+  let runs;
+
+  beforeEach(() => {
+    ({ docsRepo, cleanup } = createTempDocsRepository(8));
+    runs = [];
+    const jobRunner = (useCase) => ({
+      validate: (params) => useCase.validate(params),
+      run: async (params) => {
+        runs.push(params);
+        return { totalFiles: 0, failedFiles: [] };
+      },
+    });
+    runIndexingJob = new RunIndexingJobUseCase(docsRepo, {
+      learn_repository: jobRunner(new LearnRepositoryUseCase(docsRepo)),
+      reindex_source: jobRunner(new ReindexSourceUseCase(docsRepo)),
+    });
+  });
+
+  afterEach(() => cleanup());
+
+  it('rejects invalid arguments without queueing a job', async () => {
+    await assert.rejects(
+      runIndexingJob.execute({
+        type: 'learn_repository',
+        params: { owner: 'acme' },
+      }),
+      /owner and repo are required/,
+    );
+    await assert.rejects(
+      runIndexingJob.execute({
+        type: 'reindex_source',
+        params: { repo_owner: 'acme', repo_name: 'docs' },
+      }),
+      /Unknown source acme\/docs/,
+    );
+
+    await runIndexingJob.queue;
+    assert.deepEqual(await docsRepo.listJobs(), []);
+    assert.deepEqual(runs, []);
+  });
+
+  it('reports missing parameters of a job tool called without arguments', async () => {
+    // Tool errors are logged to the server's log file
+    const { error } = Logger;
+    Logger.error = () => {};
+    try {
+      const result = await new ToolsHandler({ runIndexingJob }).handleToolCall(
+        'learn_repository',
+        undefined,
+      );
+
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /owner and repo are required/);
+    } finally {
+      Logger.error = error;
+    }
+  });
+
+  it('queues and runs a job with valid arguments', async () => {
+    const job = await runIndexingJob.execute({
+      type: 'learn_repository',
+      params: { owner: 'acme', repo: 'docs' },
+    });
+    assert.equal(job.status, 'queued');
+
+    await runIndexingJob.queue;
+    assert.equal((await docsRepo.getJob(job.id)).status, 'completed');
+    assert.deepEqual(runs, [{ owner: 'acme', repo: 'docs' }]);
+  });
+});
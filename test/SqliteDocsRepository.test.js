@@ -0,0 +1,71 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { SqliteDocsRepository } from '../src/@infrastructure/database/SqliteDocsRepository.js';
+
+describe('SqliteDocsRepository', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-db-'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('migrates docs indexed before refs to the ref their source recorded', async () => {
+    // Schema of a database written before refs were part of doc identity
+    const legacy = new Database(path.join(dir, 'docs.db'));
+    legacy.exec(`
+      CREATE TABLE docs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        repo_owner TEXT,
+        repo_name TEXT,
+        path TEXT,
+        sha TEXT,
+        content TEXT,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        source_type TEXT CHECK(source_type IN ('github', 'local')) DEFAULT 'github',
+        UNIQUE(repo_owner, repo_name, path)
+      );
+      CREATE TABLE sources (
+        repo_owner TEXT,
+        repo_name TEXT,
+        source_type TEXT,
+        options TEXT,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(repo_owner, repo_name)
+      );
+      INSERT INTO sources (repo_owner, repo_name, source_type, options)
+        VALUES ('o', 'recorded', 'github', '{"branch":"master"}');
+      INSERT INTO docs (repo_owner, repo_name, path, sha, source_type) VALUES
+        ('o', 'recorded', 'README.md', 'a', 'github'),
+        ('o', 'unrecorded', 'README.md', 'b', 'github'),
+        ('__local__', 'notes', '/notes/a.md', 'c', 'local');
+    `);
+    legacy.close();
+
+    const docsRepo = new SqliteDocsRepository(dir, { embeddingDimensions: 8 });
+    try {
+      const refs = docsRepo.db
+        .prepare('SELECT repo_name, ref FROM docs ORDER BY id')
+        .all();
+      assert.deepEqual(refs, [
+        { repo_name: 'recorded', ref: 'master' },
+        { repo_name: 'unrecorded', ref: '' },
+        { repo_name: 'notes', ref: '' },
+      ]);
+      assert.deepEqual(
+        (await docsRepo.listSourceRefs()).map(({ repo_name, ref }) => [
+          repo_name,
+          ref,
+        ]),
+        [['recorded', 'master']],
+      );
+    } finally {
+      docsRepo.db.close();
+    }
+  });
+});
@@ -0,0 +1,41 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SqliteDocsRepository } from '../src/@infrastructure/database/SqliteDocsRepository.js';
+
+/**
+ * Embedding service returning small deterministic vectors, so indexing runs
+ * without a model
+ */
+export const createFakeEmbeddingService = (dimensions = 8, model = 'fake') => ({
+  getSignature: () => `${model}:${dimensions}`,
+  getModelName: () => model,
+  getModelFamily: () => model,
+  getDimensions: async () => dimensions,
+  embedQuery: async (text) => embed(text, dimensions),
+  embedDocument: async (text) => embed(text, dimensions),
+  embedDocuments: async (texts) => texts.map((text) => embed(text, dimensions)),
+});
+
+const embed = (text, dimensions) => {
+  const vector = new Float32Array(dimensions);
+  for (let i = 0; i < text.length; i++) {
+    vector[i % dimensions] += text.charCodeAt(i) / 1000;
+  }
+  return vector;
+};
+
+/**
+ * SQLite repository in a temporary folder, removed by the returned cleanup
+ */
+export const createTempDocsRepository = (dimensions = 8) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-test-'));
+  const docsRepo = new SqliteDocsRepository(dir, {
+    embeddingDimensions: dimensions,
+  });
+  const cleanup = () => {
+    docsRepo.db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { docsRepo, cleanup };
+};
@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexDocument } from '../src/@application/indexDocument.js';
+import {
+  createFakeEmbeddingService,
+  createTempDocsRepository,
+} from './helpers.js';
+
+const text = `# Guide\n\n${'Some words about the guide. '.repeat(10)}`;
+
+describe('indexDocument', () => {
+  let docsRepo;
+  let cleanup;
+  let embeddingService;
+  let doc;
+
+  beforeEach(async () => {
+    ({ docsRepo, cleanup } = createTempDocsRepository(8));
+    embeddingService = createFakeEmbeddingService(8);
+    await docsRepo.registerEmbeddingIndex({ model: 'fake', dimensions: 8 });
+    doc = {
+      repoOwner: 'acme',
+      repoName: 'docs',
+      path: 'guide.md',
+      ref: 'main',
+      sha: 'a',
+      sourceType: 'github',
+      getContent: async () => text,
+      embeddingSignature: embeddingService.getSignature(),
+    };
+  });
+
+  afterEach(() => cleanup());
+
+  it('skips an unchanged doc without reading its content', async () => {
+    const services = { docsRepo, embeddingService };
+    assert.equal((await indexDocument(services, doc)).status, 'new');
+
+    const result = await indexDocument(services, {
+      ...doc,
+      getContent: async () => assert.fail('content read'),
+    });
+
+    assert.deepEqual(result, { status: 'unchanged', chunks: 0 });
+    assert.equal(
+      (await indexDocument(services, { ...doc, sha: 'b' })).status,
+      'updated',
+    );
+  });
+
+  it('re-indexes an unchanged file extracted by an older loader', async () => {
+    const services = { docsRepo, embeddingService };
+    await indexDocument(services, doc);
+
+    const result = await indexDocument(services, { ...doc, loaderVersion: 2 });
+
+    assert.equal(result.status, 'updated');
+    assert.equal(
+      (await indexDocument(services, { ...doc, loaderVersion: 2 })).status,
+      'unchanged',
+    );
+  });
+
+  it('does not save a doc whose chunks failed to embed', async () => {
+    const failing = {
+      ...embeddingService,
+      embedDocuments: async () => {
+        throw new Error('model unavailable');
+      },
+    };
+
+    await assert.rejects(
+      indexDocument({ docsRepo, embeddingService: failing }, doc),
+      /model unavailable/,
+    );
+    assert.equal(
+      await docsRepo.findDoc('acme', 'docs', 'guide.md', 'main'),
+      null,
+    );
+  });
+});